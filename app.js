@@ -27,6 +27,8 @@ var adminRouter = require('./routes/admin');
 var uploadRouter = require('./routes/upload');
 var historyRouter = require('./routes/history');
 var realtimeRouter = require('./routes/realtime');
+var templatesRouter = require('./routes/templates');
+var assistantsRouter = require('./routes/assistants');
 
 var app = express();
 
@@ -100,18 +102,46 @@ io.on('connection', (socket) => {
   socket.join(`user:${socket.userId}`);
 
   // Handle joining conversation room
-  socket.on('join-conversation', (conversationId) => {
-    socket.join(`conversation:${conversationId}`);
-    console.log(`👥 User ${socket.userId} joined conversation: ${conversationId}`);
-    
-    socket.emit('joined-conversation', {
-      conversationId,
-      message: 'Joined conversation room'
-    });
+  // Accepts a conversation ID, or `{ conversationId, generationId, lastSeq }` from a
+  // client resuming a stream: stream events it missed are replayed before live ones
+  socket.on('join-conversation', async (data) => {
+    try {
+      const Conversation = require('./models/Conversation');
+      const streamBuffer = require('./services/streamBuffer');
+      const conversationId = data?.conversationId || data;
+
+      const owned = await Conversation.exists({ _id: conversationId, userId: socket.userId });
+      if (!owned) {
+        socket.emit('error', { message: 'Conversation not found' });
+        return;
+      }
+
+      // Join and replay in the same tick so no live event is missed or duplicated
+      socket.join(`conversation:${conversationId}`);
+      console.log(`👥 User ${socket.userId} joined conversation: ${conversationId}`);
+
+      const missed = streamBuffer.getMissedEvents(conversationId, {
+        generationId: data?.generationId,
+        lastSeq: data?.lastSeq
+      });
+      missed.events.forEach(({ event, payload }) => socket.emit(event, payload));
+
+      socket.emit('joined-conversation', {
+        conversationId,
+        generationId: missed.generationId,
+        seq: missed.seq,
+        replayed: missed.events.length,
+        message: 'Joined conversation room'
+      });
+    } catch (error) {
+      console.error('Join conversation error:', error);
+      socket.emit('error', { message: 'Failed to join conversation' });
+    }
   });
 
   // Handle leaving conversation room
-  socket.on('leave-conversation', (conversationId) => {
+  socket.on('leave-conversation', (data) => {
+    const conversationId = data?.conversationId || data;
     socket.leave(`conversation:${conversationId}`);
     console.log(`👋 User ${socket.userId} left conversation: ${conversationId}`);
     
@@ -166,48 +196,62 @@ io.on('connection', (socket) => {
 
   // Handle real-time message streaming
   socket.on('stream-message', async (data) => {
-    const { conversationId, message, model } = data;
-    
     try {
-      const Conversation = require('./models/Conversation');
-      const User = require('./models/User');
-      
-      // Verify conversation exists and user has access
-      const conversation = await Conversation.findOne({
-        _id: conversationId,
-        userId: socket.userId
+      const { schemas } = require('./middleware/validation');
+      const chatCompletion = require('./services/chatCompletion');
+
+      const context = await loadGenerationContext(socket, schemas.sendMessage, data);
+      if (!context) return;
+
+      await chatCompletion.sendMessage({
+        io,
+        conversation: context.conversation,
+        user: context.user,
+        content: context.value.message,
+        model: context.value.model,
+        attachments: context.value.attachments
       });
 
-      if (!conversation) {
-        socket.emit('error', { message: 'Conversation not found or access denied' });
-        return;
-      }
+    } catch (error) {
+      console.error('Stream message error:', error);
+      socket.emit('error', {
+        message: error.isOperational ? error.message : 'Failed to process message'
+      });
+    }
+  });
 
-      // Add user message to conversation
-      await conversation.addMessage({
-        role: 'user',
-        content: message,
-        model: model || conversation.model
+  // Handle regenerating an assistant reply
+  socket.on('regenerate-message', async (data) => {
+    try {
+      const { schemas } = require('./middleware/validation');
+      const chatCompletion = require('./services/chatCompletion');
+
+      const context = await loadGenerationContext(socket, schemas.regenerateMessage, data);
+      if (!context) return;
+
+      await chatCompletion.regenerate({
+        io,
+        conversation: context.conversation,
+        user: context.user,
+        messageId: context.value.messageId,
+        model: context.value.model
       });
 
-      // Emit user message to conversation room
-      io.to(`conversation:${conversationId}`).emit('message-sent', {
-        conversationId,
-        message: {
-          role: 'user',
-          content: message,
-          timestamp: new Date(),
-          userId: socket.userId,
-          username: socket.user.username
-        }
+    } catch (error) {
+      console.error('Regenerate message error:', error);
+      socket.emit('error', {
+        message: error.isOperational ? error.message : 'Failed to regenerate message'
       });
+    }
+  });
 
-      // Start AI response streaming
-      await streamAIResponse(socket, conversation, model);
+  // Handle stopping the reply being generated
+  socket.on('stop-generation', (data) => {
+    const chatCompletion = require('./services/chatCompletion');
+    const conversationId = data?.conversationId || data;
 
-    } catch (error) {
-      console.error('Stream message error:', error);
-      socket.emit('error', { message: 'Failed to process message' });
+    if (!conversationId || !chatCompletion.cancelGeneration(conversationId, socket.userId)) {
+      socket.emit('error', { message: 'No generation in progress' });
     }
   });
 
@@ -236,121 +280,48 @@ io.on('connection', (socket) => {
   });
 });
 
-// AI Response Streaming Function
-async function streamAIResponse(socket, conversation, model) {
-  const OpenAI = require('openai');
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
+// Validate a generation request from a socket and load what it needs
+// Applies the same checks as the REST routes; emits `error` and returns null
+// when the request cannot proceed
+async function loadGenerationContext(socket, schema, data = {}) {
+  const Conversation = require('./models/Conversation');
+  const User = require('./models/User');
 
-  try {
-    // Prepare messages for OpenAI
-    const messages = conversation.messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
-
-    // Emit typing indicator for AI
-    socket.to(`conversation:${conversation._id}`).emit('ai-typing-start', {
-      conversationId: conversation._id,
-      message: 'AI is thinking...'
-    });
-
-    // Create streaming response
-    const stream = await openai.chat.completions.create({
-      model: model || conversation.model,
-      messages: messages,
-      max_tokens: 4000,
-      temperature: 0.7,
-      stream: true
-    });
+  const { conversationId, ...payload } = data;
 
-    let fullResponse = '';
-    let tokenCount = 0;
-
-    // Stream the response
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content;
-      if (content) {
-        fullResponse += content;
-        tokenCount++;
-        
-        // Emit streaming chunk
-        socket.emit('ai-stream-chunk', {
-          conversationId: conversation._id,
-          chunk: content,
-          isComplete: false
-        });
-        
-        // Also emit to conversation room for other users
-        socket.to(`conversation:${conversation._id}`).emit('ai-stream-chunk', {
-          conversationId: conversation._id,
-          chunk: content,
-          isComplete: false
-        });
-      }
-    }
-
-    // Add AI response to conversation
-    await conversation.addMessage({
-      role: 'assistant',
-      content: fullResponse,
-      model: model || conversation.model,
-      tokens: tokenCount,
-      metadata: {
-        processingTime: Date.now() - Date.now() // You can calculate actual time
-      }
-    });
+  const { error: validationError, value } = schema.validate(payload, {
+    abortEarly: false,
+    stripUnknown: true
+  });
 
-    // Emit completion
-    socket.emit('ai-stream-complete', {
-      conversationId: conversation._id,
-      message: {
-        role: 'assistant',
-        content: fullResponse,
-        timestamp: new Date(),
-        tokens: tokenCount
-      }
+  if (validationError) {
+    socket.emit('error', {
+      message: validationError.details.map(detail => detail.message).join(', ')
     });
+    return null;
+  }
 
-    // Emit to conversation room
-    socket.to(`conversation:${conversation._id}`).emit('ai-stream-complete', {
-      conversationId: conversation._id,
-      message: {
-        role: 'assistant',
-        content: fullResponse,
-        timestamp: new Date(),
-        tokens: tokenCount
-      }
-    });
+  // Verify conversation exists and user has access
+  const conversation = await Conversation.findOne({
+    _id: conversationId,
+    userId: socket.userId
+  });
 
-    // Stop AI typing indicator
-    socket.to(`conversation:${conversation._id}`).emit('ai-typing-stop', {
-      conversationId: conversation._id
-    });
+  if (!conversation) {
+    socket.emit('error', { message: 'Conversation not found or access denied' });
+    return null;
+  }
 
-    // Update user usage
-    const User = require('./models/User');
-    const user = await User.findById(socket.userId);
-    if (user) {
-      user.incrementUsage(1, tokenCount);
-      await user.save();
-    }
+  // Load a fresh user so usage limits and counters are current
+  const user = await User.findById(socket.userId).select('-password');
+  user.resetMonthlyUsage();
 
-  } catch (error) {
-    console.error('AI streaming error:', error);
-    
-    // Emit error
-    socket.emit('ai-stream-error', {
-      conversationId: conversation._id,
-      error: 'Failed to generate AI response'
-    });
-    
-    // Stop AI typing indicator
-    socket.to(`conversation:${conversation._id}`).emit('ai-typing-stop', {
-      conversationId: conversation._id
-    });
+  if (!user.canSendMessage()) {
+    socket.emit('error', { message: 'Message limit reached for this month.' });
+    return null;
   }
+
+  return { conversation, user, value };
 }
 
 // Make io available to routes
@@ -417,6 +388,7 @@ const chatLimiter = rateLimit({
 app.use('/api/', limiter);
 app.use('/api/auth', authLimiter);
 app.use('/api/chat', chatLimiter);
+app.use('/api/templates', chatLimiter);
 
 // CORS configuration for frontend
 app.use(cors({
@@ -489,6 +461,8 @@ app.use('/api/admin', adminRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/history', historyRouter);
 app.use('/api/realtime', realtimeRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/assistants', assistantsRouter);
 
 // Health check endpoint with detailed information
 app.get('/health', (req, res) => {
@@ -531,6 +505,7 @@ app.get('/api', (req, res) => {
         logout: 'POST /api/auth/logout',
         profile: 'GET /api/auth/profile',
         updateProfile: 'PUT /api/auth/profile',
+        updatePreferences: 'PUT /api/auth/preferences',
         changePassword: 'PUT /api/auth/change-password'
       },
       chat: {
@@ -538,7 +513,15 @@ app.get('/api', (req, res) => {
         createConversation: 'POST /api/chat/conversations',
         getConversation: 'GET /api/chat/conversations/:id',
         sendMessage: 'POST /api/chat/conversations/:id/messages',
+        regenerate: 'POST /api/chat/conversations/:id/regenerate',
+        selectVariant: 'PUT /api/chat/conversations/:id/messages/:messageId/select',
+        editMessage: 'POST /api/chat/conversations/:id/messages/:messageId/edit',
+        branches: 'GET /api/chat/conversations/:id/branches',
+        switchBranch: 'PUT /api/chat/conversations/:id/branches/:threadId',
+        cancel: 'POST /api/chat/conversations/:id/cancel',
         updateTitle: 'PUT /api/chat/conversations/:id/title',
+        updateSystemPrompt: 'PUT /api/chat/conversations/:id/system-prompt',
+        updateSettings: 'PUT /api/chat/conversations/:id/settings',
         deleteConversation: 'DELETE /api/chat/conversations/:id',
         models: 'GET /api/chat/models',
         analytics: 'GET /api/chat/analytics',
@@ -546,12 +529,27 @@ app.get('/api', (req, res) => {
         restore: 'POST /api/chat/conversations/:id/restore',
         clear: 'POST /api/chat/conversations/:id/clear',
         export: 'GET /api/chat/conversations/:id/export',
-        bulk: 'POST /api/chat/conversations/bulk'
+        bulk: 'POST /api/chat/conversations/bulk',
+        setFeedback: 'PUT /api/chat/conversations/:id/messages/:messageId/feedback',
+        removeFeedback: 'DELETE /api/chat/conversations/:id/messages/:messageId/feedback',
+        compare: 'POST /api/chat/conversations/:id/compare',
+        pickComparisonWinner: 'PUT /api/chat/conversations/:id/comparisons/:comparisonId/winner',
+        updateMessage: 'PUT /api/chat/conversations/:id/messages/:messageId',
+        deleteMessage: 'DELETE /api/chat/conversations/:id/messages/:messageId',
+        pin: 'PUT /api/chat/conversations/:id/messages/:messageId/pin',
+        unpin: 'DELETE /api/chat/conversations/:id/messages/:messageId/pin',
+        pins: 'GET /api/chat/conversations/:id/pins',
+        bookmark: 'PUT /api/chat/conversations/:id/messages/:messageId/bookmark',
+        removeBookmark: 'DELETE /api/chat/conversations/:id/messages/:messageId/bookmark',
+        bookmarks: 'GET /api/chat/bookmarks'
       },
       history: {
         list: 'GET /api/history',
         search: 'GET /api/history/search',
+        searchMessages: 'GET /api/history/search/messages',
+        indexMessages: 'POST /api/history/search/index',
         stats: 'GET /api/history/stats',
+        costStats: 'GET /api/history/stats/cost',
         tags: 'GET /api/history/tags',
         tagConversations: 'GET /api/history/tags/:tag',
         addTags: 'POST /api/history/conversations/:id/tags',
@@ -559,6 +557,25 @@ app.get('/api', (req, res) => {
         export: 'GET /api/history/export',
         insights: 'GET /api/history/insights'
       },
+      templates: {
+        list: 'GET /api/templates',
+        get: 'GET /api/templates/:id',
+        create: 'POST /api/templates',
+        update: 'PUT /api/templates/:id',
+        delete: 'DELETE /api/templates/:id',
+        use: 'POST /api/templates/:id/use'
+      },
+      assistants: {
+        list: 'GET /api/assistants',
+        get: 'GET /api/assistants/:id',
+        create: 'POST /api/assistants',
+        update: 'PUT /api/assistants/:id',
+        delete: 'DELETE /api/assistants/:id',
+        share: 'POST /api/assistants/:id/share',
+        unshare: 'DELETE /api/assistants/:id/share',
+        openShared: 'GET /api/assistants/shared/:token',
+        rate: 'POST /api/assistants/:id/rate'
+      },
       realtime: {
         status: 'GET /api/realtime/status',
         activeUsers: 'GET /api/realtime/conversations/:id/active-users',
@@ -592,9 +609,15 @@ app.get('/api', (req, res) => {
         deleteUser: 'DELETE /api/admin/users/:id',
         systemHealth: 'GET /api/admin/health',
         logs: 'GET /api/admin/logs',
+        feedback: 'GET /api/admin/feedback',
+        reviewFeedback: 'PUT /api/admin/feedback/:messageId/review',
         analytics: {
           users: 'GET /api/admin/analytics/users',
-          usage: 'GET /api/admin/analytics/usage'
+          usage: 'GET /api/admin/analytics/usage',
+          usageCost: 'GET /api/admin/analytics/usage/cost',
+          assistants: 'GET /api/admin/analytics/assistants',
+          feedback: 'GET /api/admin/analytics/feedback',
+          comparisons: 'GET /api/admin/analytics/comparisons'
         }
       }
     },
@@ -0,0 +1,210 @@
+// Model catalog
+// Every model the API can serve is listed here together with the provider that
+// serves it. `maxTokens` is the context window (prompt + reply) and
+// `maxOutputTokens` the longest reply the model can generate. `tokenizer` names
+// the BPE encoding used to count tokens locally; models without one are
+// counted with cl100k_base as an approximation. `tools` marks models that
+// support function calling and `vision` models that accept images.
+// Providers are enabled through config.env, so the catalog (and the model
+// validation that depends on it) only exposes backends that are configured.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// OpenAI models are always listed to keep the default model available
+const OPENAI_MODELS = [
+  {
+    id: 'gpt-4o-mini',
+    name: 'GPT-4o Mini',
+    description: 'Fast and efficient model for most tasks',
+    provider: 'openai',
+    tools: true,
+    vision: true,
+    tokenizer: 'o200k_base',
+    maxTokens: 128000,
+    maxOutputTokens: 16384,
+    pricing: {
+      input: 0.00015,
+      output: 0.0006
+    }
+  },
+  {
+    id: 'gpt-4o',
+    name: 'GPT-4o',
+    description: 'Most capable model for complex tasks',
+    provider: 'openai',
+    tools: true,
+    vision: true,
+    tokenizer: 'o200k_base',
+    maxTokens: 128000,
+    maxOutputTokens: 16384,
+    pricing: {
+      input: 0.005,
+      output: 0.015
+    }
+  },
+  {
+    id: 'gpt-3.5-turbo',
+    name: 'GPT-3.5 Turbo',
+    description: 'Good balance of speed and capability',
+    provider: 'openai',
+    tools: true,
+    vision: false,
+    tokenizer: 'cl100k_base',
+    maxTokens: 16384,
+    maxOutputTokens: 4096,
+    pricing: {
+      input: 0.0005,
+      output: 0.0015
+    }
+  }
+];
+
+// Anthropic models are listed when ANTHROPIC_API_KEY is set
+const ANTHROPIC_MODELS = [
+  {
+    id: 'claude-3-5-haiku-latest',
+    name: 'Claude 3.5 Haiku',
+    description: 'Fast Anthropic model for everyday tasks',
+    provider: 'anthropic',
+    tools: true,
+    vision: false,
+    maxTokens: 200000,
+    maxOutputTokens: 8192,
+    pricing: {
+      input: 0.0008,
+      output: 0.004
+    }
+  },
+  {
+    id: 'claude-3-5-sonnet-latest',
+    name: 'Claude 3.5 Sonnet',
+    description: 'Anthropic model for complex reasoning and writing',
+    provider: 'anthropic',
+    tools: true,
+    vision: true,
+    maxTokens: 200000,
+    maxOutputTokens: 8192,
+    pricing: {
+      input: 0.003,
+      output: 0.015
+    }
+  }
+];
+
+// Local models (Ollama, llama.cpp, vLLM...) are read from LOCAL_LLM_MODELS,
+// a comma-separated list of model IDs served at LOCAL_LLM_BASE_URL.
+// Set LOCAL_LLM_TOOLS=true if they support function calling and
+// LOCAL_LLM_VISION=true if they accept images
+const getLocalModels = () => {
+  if (!process.env.LOCAL_LLM_BASE_URL || !process.env.LOCAL_LLM_MODELS) return [];
+
+  const maxTokens = parseInt(process.env.LOCAL_LLM_MAX_TOKENS) || 8192;
+  const maxOutputTokens = parseInt(process.env.LOCAL_LLM_MAX_OUTPUT_TOKENS) || 2048;
+  const tools = process.env.LOCAL_LLM_TOOLS === 'true';
+  const vision = process.env.LOCAL_LLM_VISION === 'true';
+
+  return process.env.LOCAL_LLM_MODELS
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+    .map(id => ({
+      id,
+      name: id,
+      description: 'Self-hosted model',
+      provider: 'local',
+      tools,
+      vision,
+      maxTokens,
+      maxOutputTokens,
+      pricing: {
+        input: 0,
+        output: 0
+      }
+    }));
+};
+
+// Embedding models, used for semantic search. `dimensions` is the vector length.
+// The OpenAI model is the default; a local one is listed when
+// LOCAL_EMBEDDING_MODEL names a model served at LOCAL_LLM_BASE_URL
+const OPENAI_EMBEDDING_MODELS = [
+  {
+    id: 'text-embedding-3-small',
+    provider: 'openai',
+    dimensions: 1536,
+    pricing: {
+      input: 0.00002
+    }
+  }
+];
+
+const getLocalEmbeddingModels = () => {
+  if (!process.env.LOCAL_LLM_BASE_URL || !process.env.LOCAL_EMBEDDING_MODEL) return [];
+
+  return [{
+    id: process.env.LOCAL_EMBEDDING_MODEL,
+    provider: 'local',
+    dimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 768,
+    pricing: {
+      input: 0
+    }
+  }];
+};
+
+// The embedding model picked by EMBEDDING_MODEL, else the local one if
+// configured, else the OpenAI one
+const getEmbeddingModel = () => {
+  const models = [...getLocalEmbeddingModels(), ...OPENAI_EMBEDDING_MODELS];
+  return models.find(model => model.id === process.env.EMBEDDING_MODEL) || models[0];
+};
+
+// Get all models from configured providers
+const listModels = () => {
+  const models = [...OPENAI_MODELS];
+
+  if (process.env.ANTHROPIC_API_KEY) {
+    models.push(...ANTHROPIC_MODELS);
+  }
+
+  models.push(...getLocalModels());
+
+  return models;
+};
+
+// Find a model by ID
+const getModel = (id) => listModels().find(model => model.id === id) || null;
+
+// Check if a model ID is served by a configured provider
+const isSupportedModel = (id) => Boolean(getModel(id));
+
+// Model for background work such as titles and summaries: the configured one
+// if it is available, else the default (and cheapest) model
+const getBackgroundModel = (id) => (isSupportedModel(id) ? id : DEFAULT_MODEL);
+
+// Models to send a request to, in order: the model itself, then its fallbacks.
+// MODEL_FALLBACKS is a comma-separated list of `model=fallback` pairs, e.g.
+// `gpt-4o=gpt-4o-mini`; fallbacks can have their own, forming a chain.
+// Fallbacks that are not available are skipped
+const getFallbackChain = (id) => {
+  const fallbacks = new Map((process.env.MODEL_FALLBACKS || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([model, fallback]) => model && fallback));
+
+  const chain = [id];
+  const seen = new Set(chain);
+  for (let next = fallbacks.get(id); next && !seen.has(next); next = fallbacks.get(next)) {
+    seen.add(next);
+    if (isSupportedModel(next)) chain.push(next);
+  }
+  return chain;
+};
+
+module.exports = {
+  DEFAULT_MODEL,
+  listModels,
+  getModel,
+  isSupportedModel,
+  getBackgroundModel,
+  getEmbeddingModel,
+  getFallbackChain
+};
@@ -0,0 +1,57 @@
+// Subscription plans configuration (in TND - Tunisian Dinar)
+const SUBSCRIPTION_PLANS = {
+  basic: {
+    name: 'Basic Plan',
+    price: 30.00, // 30 TND
+    currency: 'TND',
+    messagesPerMonth: 100,
+    features: ['100 messages per month', 'GPT-4o Mini', 'Basic support'],
+    description: 'Perfect for casual users'
+  },
+  premium: {
+    name: 'Premium Plan',
+    price: 60.00, // 60 TND
+    currency: 'TND',
+    messagesPerMonth: 1000,
+    features: ['1000 messages per month', 'All GPT models', 'Priority support', 'Advanced features'],
+    description: 'Best for power users and professionals'
+  }
+};
+
+// Monthly price of every plan, including the free tier, for cost reports
+const PLAN_PRICES = {
+  free: 0,
+  basic: SUBSCRIPTION_PLANS.basic.price,
+  premium: SUBSCRIPTION_PLANS.premium.price
+};
+
+// Generation limits per plan, including the free tier
+// Conversation settings above these are capped when a reply is generated.
+// Images are limited per message; sizes are in bytes
+const PLAN_LIMITS = {
+  free: {
+    maxOutputTokens: 1000,
+    maxImagesPerMessage: 1,
+    maxImageSize: 1024 * 1024
+  },
+  basic: {
+    maxOutputTokens: 4000,
+    maxImagesPerMessage: 4,
+    maxImageSize: 3 * 1024 * 1024
+  },
+  premium: {
+    maxOutputTokens: 16384,
+    maxImagesPerMessage: 10,
+    maxImageSize: 5 * 1024 * 1024
+  }
+};
+
+// Limits for a plan, falling back to the free tier
+const getPlanLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+
+module.exports = {
+  SUBSCRIPTION_PLANS,
+  PLAN_PRICES,
+  PLAN_LIMITS,
+  getPlanLimits
+};
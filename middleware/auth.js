@@ -86,23 +86,27 @@ const checkMessageLimit = async (req, res, next) => {
   }
 };
 
-// Middleware to update usage after message
-const updateUsage = async (req, res, next) => {
+// Record one sent message, its prompt/completion tokens and cost against the user's usage
+const recordUsage = async (user, usage = {}) => {
   try {
-    if (req.user) {
-      req.user.usage.messagesThisMonth += 1;
-      await req.user.save();
-    }
-    next();
+    await user.incrementUsage(1, usage);
   } catch (error) {
     console.error('Error updating usage:', error);
-    next();
   }
 };
 
+// Middleware to update usage after message
+const updateUsage = async (req, res, next) => {
+  if (req.user) {
+    await recordUsage(req.user, res.locals.usage);
+  }
+  next();
+};
+
 module.exports = {
   requireAuth,
   requireSubscription,
   checkMessageLimit,
-  updateUsage
+  updateUsage,
+  recordUsage
 };
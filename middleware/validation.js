@@ -1,4 +1,130 @@
 const Joi = require('joi');
+const { isSupportedModel } = require('../config/models');
+
+// Model IDs depend on the configured providers, so check them against the catalog
+const modelId = () => Joi.string()
+  .custom((value, helpers) => (isSupportedModel(value) ? value : helpers.error('any.only')))
+  .messages({
+    'any.only': 'Invalid model selected'
+  });
+
+// System prompt of a conversation; empty to fall back to the user's custom instructions
+const systemPrompt = () => Joi.string()
+  .max(4000)
+  .allow('')
+  .messages({
+    'string.max': 'System prompt cannot exceed 4000 characters'
+  });
+
+// Text of a user message
+const messageContent = () => Joi.string()
+  .min(1)
+  .max(4000)
+  .required()
+  .messages({
+    'string.min': 'Message cannot be empty',
+    'string.max': 'Message cannot exceed 4000 characters',
+    'any.required': 'Message is required'
+  });
+
+// Files from the upload API, by ID; other fields of the upload response are ignored
+const messageAttachments = () => Joi.array()
+  .items(Joi.object({
+    id: Joi.string().max(255).required()
+  }).unknown(true))
+  .max(10)
+  .optional()
+  .messages({
+    'array.max': 'A message can have at most 10 attachments'
+  });
+
+// Conversation generation settings
+// maxTokens is also checked against the user's plan by the route
+const conversationSettings = () => Joi.object({
+  temperature: Joi.number()
+    .min(0)
+    .max(2)
+    .messages({
+      'number.min': 'Temperature must be between 0 and 2',
+      'number.max': 'Temperature must be between 0 and 2'
+    }),
+  topP: Joi.number()
+    .min(0)
+    .max(1)
+    .messages({
+      'number.min': 'Top P must be between 0 and 1',
+      'number.max': 'Top P must be between 0 and 1'
+    }),
+  maxTokens: Joi.number()
+    .integer()
+    .min(1)
+    .max(16384)
+    .messages({
+      'number.min': 'Max tokens must be at least 1',
+      'number.max': 'Max tokens cannot exceed 16384'
+    }),
+  presencePenalty: Joi.number()
+    .min(-2)
+    .max(2)
+    .messages({
+      'number.min': 'Presence penalty must be between -2 and 2',
+      'number.max': 'Presence penalty must be between -2 and 2'
+    }),
+  frequencyPenalty: Joi.number()
+    .min(-2)
+    .max(2)
+    .messages({
+      'number.min': 'Frequency penalty must be between -2 and 2',
+      'number.max': 'Frequency penalty must be between -2 and 2'
+    }),
+  stop: Joi.array()
+    .items(Joi.string().min(1).max(50))
+    .max(4)
+    .messages({
+      'array.max': 'At most 4 stop sequences are allowed'
+    }),
+  responseFormat: Joi.string()
+    .valid('text', 'json')
+    .messages({
+      'any.only': 'Response format must be text or json'
+    }),
+  contextStrategy: Joi.string()
+    .valid('compress', 'truncate')
+    .messages({
+      'any.only': 'Context strategy must be compress or truncate'
+    })
+});
+
+// Fields shared by assistant creation and updates
+const assistantFields = () => ({
+  description: Joi.string()
+    .max(500)
+    .allow('')
+    .optional(),
+  avatar: Joi.string()
+    .max(500)
+    .allow('', null)
+    .optional(),
+  systemPrompt: systemPrompt().optional(),
+  model: modelId().optional(),
+  settings: conversationSettings().optional(),
+  starterMessages: Joi.array()
+    .items(Joi.string().min(1).max(500))
+    .max(4)
+    .optional()
+    .messages({
+      'array.max': 'At most 4 starter messages are allowed'
+    })
+});
+
+// Descriptions and default values of template variables
+const templateVariables = () => Joi.array()
+  .items(Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().max(200).allow('').optional(),
+    defaultValue: Joi.string().max(2000).allow('').optional()
+  }))
+  .max(20);
 
 // Validation schemas
 const schemas = {
@@ -62,6 +188,28 @@ const schemas = {
       })
   }),
 
+  updatePreferences: Joi.object({
+    customInstructions: Joi.string()
+      .max(1500)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Custom instructions cannot exceed 1500 characters'
+      }),
+    language: Joi.string()
+      .min(2)
+      .max(10)
+      .optional(),
+    theme: Joi.string()
+      .valid('light', 'dark', 'auto')
+      .optional(),
+    defaultModel: modelId().optional()
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one preference is required'
+    }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string()
       .required()
@@ -86,27 +234,119 @@ const schemas = {
       .optional()
       .messages({
         'string.max': 'Title cannot exceed 100 characters'
+      }),
+    model: modelId().optional(),
+    systemPrompt: systemPrompt().optional(),
+    settings: conversationSettings().optional(),
+    assistantId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Invalid assistant ID',
+        'string.length': 'Invalid assistant ID'
+      })
+  }),
+
+  updateConversationSettings: conversationSettings()
+    .min(1)
+    .messages({
+      'object.min': 'At least one setting is required'
+    }),
+
+  updateSystemPrompt: Joi.object({
+    systemPrompt: systemPrompt()
+      .required()
+      .messages({
+        'any.required': 'System prompt is required'
       })
   }),
 
   sendMessage: Joi.object({
-    message: Joi.string()
+    message: messageContent(),
+    model: modelId().optional(),
+    attachments: messageAttachments()
+  }),
+
+  // Send a message to several models at once
+  compareModels: Joi.object({
+    message: messageContent(),
+    models: Joi.array()
+      .items(modelId())
+      .min(2)
+      .max(4)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'Choose at least 2 models to compare',
+        'array.max': 'At most 4 models can be compared',
+        'array.unique': 'Each model can only be compared once',
+        'any.required': 'Models are required'
+      }),
+    attachments: messageAttachments()
+  }),
+
+  // Text of a message changed in place
+  updateMessage: Joi.object({
+    content: Joi.string()
       .min(1)
-      .max(4000)
+      .max(10000)
       .required()
       .messages({
         'string.min': 'Message cannot be empty',
-        'string.max': 'Message cannot exceed 4000 characters',
-        'any.required': 'Message is required'
+        'string.max': 'Message cannot exceed 10000 characters',
+        'any.required': 'Content is required'
+      })
+  }),
+
+  // Rating of an assistant reply
+  messageFeedback: Joi.object({
+    rating: Joi.string()
+      .valid('up', 'down')
+      .required()
+      .messages({
+        'any.only': 'Rating must be up or down',
+        'any.required': 'Rating is required'
       }),
-    model: Joi.string()
-      .valid('gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo')
-      .default('gpt-4o-mini')
+    category: Joi.string()
+      .valid('helpful', 'accurate', 'well_written', 'inaccurate', 'unhelpful', 'incomplete', 'harmful', 'other')
+      .optional()
       .messages({
-        'any.only': 'Invalid model selected'
+        'any.only': 'Invalid feedback category'
+      }),
+    comment: Joi.string()
+      .max(1000)
+      .allow('')
+      .optional()
+      .messages({
+        'string.max': 'Comment cannot exceed 1000 characters'
       })
   }),
 
+  pickComparisonWinner: Joi.object({
+    messageId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+      .messages({
+        'string.hex': 'Invalid message ID',
+        'string.length': 'Invalid message ID',
+        'any.required': 'Message ID is required'
+      })
+  }),
+
+  regenerateMessage: Joi.object({
+    messageId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Invalid message ID',
+        'string.length': 'Invalid message ID'
+      }),
+    model: modelId().optional()
+  }),
+
   updateConversationTitle: Joi.object({
     title: Joi.string()
       .min(1)
@@ -119,6 +359,139 @@ const schemas = {
       })
   }),
 
+  // Prompt template validation
+  createTemplate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    content: Joi.string()
+      .min(1)
+      .max(4000)
+      .required()
+      .messages({
+        'string.max': 'Template cannot exceed 4000 characters',
+        'any.required': 'Template content is required'
+      }),
+    variables: templateVariables().optional(),
+    category: Joi.string()
+      .max(50)
+      .allow('')
+      .optional(),
+    tags: Joi.array()
+      .items(Joi.string().max(30))
+      .max(10)
+      .optional(),
+    scope: Joi.string()
+      .valid('personal', 'public')
+      .optional()
+      .messages({
+        'any.only': 'Scope must be personal or public'
+      }),
+    model: modelId().optional()
+  }),
+
+  updateTemplate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .optional(),
+    description: Joi.string()
+      .max(500)
+      .allow('')
+      .optional(),
+    content: Joi.string()
+      .min(1)
+      .max(4000)
+      .optional(),
+    variables: templateVariables().optional(),
+    category: Joi.string()
+      .max(50)
+      .allow('')
+      .optional(),
+    tags: Joi.array()
+      .items(Joi.string().max(30))
+      .max(10)
+      .optional(),
+    scope: Joi.string()
+      .valid('personal', 'public')
+      .optional(),
+    model: modelId().optional()
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field is required'
+    }),
+
+  // Start a conversation from a template, or send it to an existing one
+  useTemplate: Joi.object({
+    values: Joi.object()
+      .pattern(Joi.string(), Joi.string().max(2000).allow(''))
+      .default({}),
+    conversationId: Joi.string()
+      .hex()
+      .length(24)
+      .optional()
+      .messages({
+        'string.hex': 'Invalid conversation ID',
+        'string.length': 'Invalid conversation ID'
+      }),
+    title: Joi.string()
+      .max(100)
+      .optional(),
+    model: modelId().optional()
+  }),
+
+  // Assistant validation
+  createAssistant: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    ...assistantFields()
+  }),
+
+  updateAssistant: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .optional(),
+    ...assistantFields()
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field is required'
+    }),
+
+  rateAssistant: Joi.object({
+    rating: Joi.number()
+      .integer()
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        'number.min': 'Rating must be between 1 and 5',
+        'number.max': 'Rating must be between 1 and 5',
+        'any.required': 'Rating is required'
+      }),
+    comment: Joi.string()
+      .max(500)
+      .allow('')
+      .optional()
+  }),
+
   // Subscription validation
   createCheckout: Joi.object({
     plan: Joi.string()
@@ -209,5 +582,6 @@ const sanitize = (req, res, next) => {
 module.exports = {
   schemas,
   validate,
-  sanitize
+  sanitize,
+  messageContent
 };
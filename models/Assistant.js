@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { DEFAULT_MODEL, isSupportedModel } = require('../config/models');
+
+const ratingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A saved persona: instructions, model and generation defaults for conversations
+const assistantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Image URL or emoji
+  avatar: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  systemPrompt: {
+    type: String,
+    trim: true,
+    maxlength: 4000,
+    default: ''
+  },
+  model: {
+    type: String,
+    validate: {
+      validator: isSupportedModel,
+      message: props => `${props.value} is not an available model`
+    },
+    default: DEFAULT_MODEL
+  },
+  // Defaults for the settings of conversations with the assistant;
+  // unset fields keep the conversation defaults
+  settings: {
+    temperature: { type: Number, min: 0, max: 2 },
+    topP: { type: Number, min: 0, max: 1 },
+    maxTokens: Number,
+    presencePenalty: { type: Number, min: -2, max: 2 },
+    frequencyPenalty: { type: Number, min: -2, max: 2 },
+    stop: {
+      type: [String],
+      default: undefined
+    },
+    responseFormat: {
+      type: String,
+      enum: ['text', 'json']
+    }
+  },
+  // Suggested first messages shown to the user
+  starterMessages: [{
+    type: String,
+    trim: true,
+    maxlength: 500
+  }],
+  // Anyone with the share link can use the assistant; removing the token revokes it
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Users who opened the share link
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  ratings: [ratingSchema],
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  conversationCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+assistantSchema.index({ sharedWith: 1 });
+
+// Find the assistants a user can use: their own and those shared with them
+assistantSchema.statics.findAccessible = function(userId, filter = {}) {
+  return this.find({
+    ...filter,
+    $or: [
+      { userId },
+      { sharedWith: userId, shareToken: { $exists: true } }
+    ]
+  });
+};
+
+// Whether a user can use the assistant
+assistantSchema.methods.isAccessibleBy = function(userId) {
+  const id = userId.toString();
+  return this.userId.toString() === id
+    || (Boolean(this.shareToken) && this.sharedWith.some(user => user.toString() === id));
+};
+
+// Create a share link token, keeping the existing one
+assistantSchema.methods.share = function() {
+  if (!this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+  }
+  return this.save();
+};
+
+// Revoke the share link and access through it
+assistantSchema.methods.unshare = function() {
+  this.shareToken = undefined;
+  this.sharedWith = [];
+  return this.save();
+};
+
+// Add or replace a user's rating
+assistantSchema.methods.rate = function(userId, rating, comment) {
+  const existing = this.ratings.find(item => item.userId.toString() === userId.toString());
+
+  if (existing) {
+    existing.rating = rating;
+    existing.comment = comment;
+    existing.createdAt = new Date();
+  } else {
+    this.ratings.push({ userId, rating, comment });
+  }
+
+  this.ratingCount = this.ratings.length;
+  this.ratingAverage = Math.round(
+    (this.ratings.reduce((sum, item) => sum + item.rating, 0) / this.ratingCount) * 100
+  ) / 100;
+
+  return this.save();
+};
+
+// Settings for a new conversation with the assistant
+assistantSchema.methods.getConversationSettings = function() {
+  const settings = {};
+  Object.entries(this.toObject().settings || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      settings[key] = value;
+    }
+  });
+  return settings;
+};
+
+// Public view of the assistant, without ratings or share details
+assistantSchema.methods.toPublicJSON = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    description: this.description,
+    avatar: this.avatar,
+    model: this.model,
+    starterMessages: this.starterMessages,
+    ratingAverage: this.ratingAverage,
+    ratingCount: this.ratingCount
+  };
+};
+
+module.exports = mongoose.model('Assistant', assistantSchema);
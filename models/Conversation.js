@@ -1,58 +1,16 @@
 const mongoose = require('mongoose');
+const Message = require('./Message');
+const { DEFAULT_MODEL, isSupportedModel } = require('../config/models');
 
-const messageSchema = new mongoose.Schema({
-  role: {
-    type: String,
-    enum: ['user', 'assistant', 'system'],
-    required: true
-  },
-  content: {
-    type: String,
-    required: true,
-    maxlength: 10000 // Increased limit for longer conversations
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  },
-  tokens: {
-    type: Number,
-    default: 0
-  },
-  model: {
-    type: String,
-    enum: ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'],
-    default: 'gpt-4o-mini'
-  },
-  // For file attachments
-  attachments: [{
-    filename: String,
-    url: String,
-    mimetype: String,
-    size: Number
-  }],
-  // For message metadata
-  metadata: {
-    processingTime: Number, // Time taken to generate response
-    error: String, // If there was an error
-    retryCount: {
-      type: Number,
-      default: 0
-    }
-  },
-  // For message threading and context
-  parentMessageId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Message'
-  },
-  threadId: {
-    type: String,
-    index: true
-  }
-}, {
-  timestamps: true
-});
+// Branch of messages that were not forked from another branch
+const MAIN_THREAD = 'main';
+
+// Models come from the configured providers, so validate against the catalog
+// instead of a fixed enum
+const modelValidator = {
+  validator: isSupportedModel,
+  message: props => `${props.value} is not an available model`
+};
 
 const conversationSchema = new mongoose.Schema({
   userId: {
@@ -66,20 +24,70 @@ const conversationSchema = new mongoose.Schema({
     maxlength: 200,
     default: 'New Conversation'
   },
-  messages: [messageSchema],
+  // Where the title came from: `default` titles (the placeholder, an assistant's
+  // name or the start of the first message) are replaced by a generated one;
+  // titles set by the user are never replaced
+  titleSource: {
+    type: String,
+    enum: ['default', 'generated', 'user'],
+    default: 'default'
+  },
+  // Running summary of the start of the active path, written in the background.
+  // It stands in for the messages up to `throughMessageId` once they no longer
+  // fit in the context window
+  summary: {
+    content: String,
+    throughMessageId: mongoose.Schema.Types.ObjectId,
+    summarizedMessages: Number,
+    model: String,
+    updatedAt: Date
+  },
+  // Leaf of the active path through the message tree
+  currentNodeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   model: {
     type: String,
-    enum: ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'],
-    default: 'gpt-4o-mini'
+    validate: modelValidator,
+    default: DEFAULT_MODEL
   },
   totalTokens: {
     type: Number,
     default: 0
   },
+  totalPromptTokens: {
+    type: Number,
+    default: 0
+  },
+  totalCompletionTokens: {
+    type: Number,
+    default: 0
+  },
+  // Accumulated spend in USD
+  totalCost: {
+    type: Number,
+    default: 0
+  },
   totalMessages: {
     type: Number,
     default: 0
   },
+  // Usage of model calls made in the background (titles, summaries), which
+  // belong to no message. Included in the totals above
+  backgroundUsage: {
+    promptTokens: {
+      type: Number,
+      default: 0
+    },
+    completionTokens: {
+      type: Number,
+      default: 0
+    },
+    cost: {
+      type: Number,
+      default: 0
+    }
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -118,19 +126,75 @@ const conversationSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Assistant (persona) the conversation was started with
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    index: true
+  },
+  // Instructions sent to the model as the system prompt. Overrides the assistant's
+  // instructions and the user's custom instructions; not stored as a message
+  systemPrompt: {
+    type: String,
+    trim: true,
+    maxlength: 4000,
+    default: ''
+  },
   // Conversation settings
   settings: {
     autoSave: {
       type: Boolean,
       default: true
     },
+    // Messages the conversation can hold, counting every branch; once reached,
+    // new messages must go to another conversation
     maxMessages: {
       type: Number,
       default: 100
     },
+    // Generation parameters sent to the model
+    // maxTokens is the maximum length of a reply, capped by the model and the plan
     maxTokens: {
       type: Number,
       default: 4000
+    },
+    temperature: {
+      type: Number,
+      min: 0,
+      max: 2,
+      default: 0.7
+    },
+    topP: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1
+    },
+    presencePenalty: {
+      type: Number,
+      min: -2,
+      max: 2,
+      default: 0
+    },
+    frequencyPenalty: {
+      type: Number,
+      min: -2,
+      max: 2,
+      default: 0
+    },
+    stop: [{
+      type: String
+    }],
+    responseFormat: {
+      type: String,
+      enum: ['text', 'json'],
+      default: 'text'
+    },
+    // What to do with older turns once the history exceeds the context window
+    contextStrategy: {
+      type: String,
+      enum: ['compress', 'truncate'],
+      default: 'compress'
     }
   },
   createdAt: {
@@ -153,83 +217,393 @@ conversationSchema.index({ userId: 1, createdAt: -1 });
 conversationSchema.index({ userId: 1, 'metadata.lastActivity': -1 });
 conversationSchema.index({ userId: 1, isArchived: 1 });
 conversationSchema.index({ title: 'text' }); // Text search on title
-conversationSchema.index({ 'messages.content': 'text' }); // Text search on messages
 
-// Virtual for conversation duration
+// Fields of a message needed to walk the tree, without its content
+const TREE_FIELDS = 'role parentMessageId threadId timestamp';
+
+// Fields that addMessage updates atomically
+const TOTAL_FIELDS = [
+  'title',
+  'currentNodeId',
+  'totalTokens',
+  'totalPromptTokens',
+  'totalCompletionTokens',
+  'totalCost',
+  'totalMessages',
+  'metadata.lastActivity',
+  'metadata.messageCount',
+  'metadata.averageResponseTime'
+];
+
+// Virtual for conversation duration (0 until the messages are loaded)
 conversationSchema.virtual('duration').get(function() {
-  if (this.messages.length < 2) return 0;
-  const firstMessage = this.messages[0].timestamp;
-  const lastMessage = this.messages[this.messages.length - 1].timestamp;
+  const messages = this.$locals.messages || [];
+  if (messages.length < 2) return 0;
+  const firstMessage = messages[0].timestamp;
+  const lastMessage = messages[messages.length - 1].timestamp;
   return lastMessage - firstMessage;
 });
 
-// Virtual for conversation summary
-conversationSchema.virtual('summary').get(function() {
-  if (this.messages.length === 0) return 'Empty conversation';
-  
-  const userMessages = this.messages.filter(msg => msg.role === 'user');
-  if (userMessages.length === 0) return 'No user messages';
-  
-  // Return first user message as summary
-  return userMessages[0].content.substring(0, 100) + (userMessages[0].content.length > 100 ? '...' : '');
-});
+// Load the messages of the conversation, oldest first
+// The methods below that work on messages need them loaded. `fields` loads
+// only part of each message, e.g. TREE_FIELDS to walk the tree
+conversationSchema.methods.loadMessages = async function({ fields } = {}) {
+  const query = Message.find({ conversationId: this._id }).sort({ _id: 1 });
+  if (fields) query.select(fields);
+
+  this.$locals.messages = await query;
+  return this.$locals.messages;
+};
+
+// Get the loaded messages
+conversationSchema.methods.getMessages = function() {
+  if (!this.$locals.messages) {
+    throw new Error('Conversation messages are not loaded');
+  }
+  return this.$locals.messages;
+};
+
+// Find a loaded message by ID
+conversationSchema.methods.getMessage = function(messageId) {
+  if (!messageId) return null;
+  return this.getMessages().find(msg => msg._id.equals(messageId)) || null;
+};
 
 // Update conversation title based on first user message
+// Titles set by the user are kept
 conversationSchema.methods.updateTitle = function() {
-  const userMessages = this.messages.filter(msg => msg.role === 'user');
-  if (userMessages.length > 0) {
+  const userMessages = this.getMessages().filter(msg => msg.role === 'user');
+  if (userMessages.length > 0 && this.titleSource !== 'user') {
     const firstMessage = userMessages[0].content;
     this.title = firstMessage.substring(0, 50) + (firstMessage.length > 50 ? '...' : '');
+    this.titleSource = 'default';
   }
   return this.save();
 };
 
+// Get the messages from the root to a message
+conversationSchema.methods.getPath = function(messageId) {
+  if (!messageId) return [];
+
+  const byId = new Map(this.getMessages().map(msg => [msg._id.toString(), msg]));
+  const path = [];
+  let message = byId.get(messageId.toString());
+  while (message) {
+    path.unshift(message);
+    message = message.parentMessageId ? byId.get(message.parentMessageId.toString()) : null;
+  }
+  return path;
+};
+
+// Get the messages on the active path, from the root to the current leaf
+conversationSchema.methods.getActivePath = function() {
+  if (!this.currentNodeId) return this.getMessages().slice();
+  return this.getPath(this.currentNodeId);
+};
+
+// The running summary, if it was written for the active path
+// Returns its content and how many messages at the start of the path it covers
+conversationSchema.methods.getPathSummary = function(path = this.getActivePath()) {
+  if (!this.summary?.content || !this.summary.throughMessageId) return null;
+
+  const index = path.findIndex(msg => msg._id.equals(this.summary.throughMessageId));
+  if (index === -1) return null;
+
+  return { content: this.summary.content, coveredMessages: index + 1 };
+};
+
+// Get the children of a message (root messages when parentId is null)
+conversationSchema.methods.getChildren = function(parentId) {
+  return this.getMessages().filter(msg => (
+    parentId ? msg.parentMessageId?.equals(parentId) : !msg.parentMessageId
+  ));
+};
+
+// Get the alternatives of a message, including itself, oldest first
+conversationSchema.methods.getVariants = function(message) {
+  return this.getChildren(message.parentMessageId).filter(msg => msg.role === message.role);
+};
+
+// Make a message active, following its most recent replies down to a leaf
+conversationSchema.methods.selectMessage = function(messageId) {
+  let message = this.getMessage(messageId);
+  if (!message) return null;
+
+  let children = this.getChildren(message._id);
+  while (children.length > 0) {
+    message = children[children.length - 1];
+    children = this.getChildren(message._id);
+  }
+
+  this.currentNodeId = message._id;
+  return this.save();
+};
+
+// List the branches of the conversation
+// Each branch starts where it forked from another one and ends at its latest message
+conversationSchema.methods.getBranches = function() {
+  const activeIds = new Set(this.getActivePath().map(msg => msg._id.toString()));
+  const branches = new Map();
+
+  this.getMessages().forEach(msg => {
+    const threadId = msg.threadId || MAIN_THREAD;
+
+    if (!branches.has(threadId)) {
+      branches.set(threadId, {
+        threadId,
+        forkedFromMessageId: msg.parentMessageId || null,
+        firstMessage: {
+          _id: msg._id,
+          role: msg.role,
+          content: msg.content.substring(0, 100) + (msg.content.length > 100 ? '...' : '')
+        },
+        leafMessageId: msg._id,
+        messageCount: 0,
+        isActive: false,
+        createdAt: msg.timestamp,
+        lastActivity: msg.timestamp
+      });
+    }
+
+    const branch = branches.get(threadId);
+    branch.leafMessageId = msg._id;
+    branch.messageCount += 1;
+    branch.lastActivity = msg.timestamp;
+    if (activeIds.has(msg._id.toString())) {
+      branch.isActive = true;
+    }
+  });
+
+  return Array.from(branches.values());
+};
+
+// Make a branch active, ending the active path at its latest message
+conversationSchema.methods.switchBranch = function(threadId) {
+  const branch = this.getBranches().find(item => item.threadId === threadId);
+  if (!branch) return null;
+
+  this.currentNodeId = branch.leafMessageId;
+  return this.save();
+};
+
+// Position of a message among its variants
+conversationSchema.methods.getVariantInfo = function(message) {
+  const variants = this.getVariants(message);
+  return {
+    index: variants.findIndex(variant => variant._id.equals(message._id)),
+    total: variants.length,
+    ids: variants.map(variant => variant._id)
+  };
+};
+
+// Serialize the active path with the position of each message among its variants
+conversationSchema.methods.getActivePathWithVariants = function() {
+  return this.getActivePath().map(msg => ({
+    ...msg.toObject(),
+    variants: this.getVariantInfo(msg)
+  }));
+};
+
+// Load a page of the active path, serialized like getActivePathWithVariants
+// Returns up to `limit` messages before the message `before` (the latest ones
+// by default), oldest first, or null if `before` is not on the active path
+conversationSchema.methods.getMessagePage = async function({ limit = 50, before } = {}) {
+  // Walk the tree without message contents, then load only the page
+  await this.loadMessages({ fields: TREE_FIELDS });
+  const path = this.getActivePath();
+
+  const end = before ? path.findIndex(msg => msg._id.equals(before)) : path.length;
+  if (end === -1) return null;
+
+  const start = Math.max(end - limit, 0);
+  const page = path.slice(start, end);
+
+  const messages = await Message.find({ _id: { $in: page.map(msg => msg._id) } });
+  const byId = new Map(messages.map(msg => [msg._id.toString(), msg]));
+
+  return {
+    messages: page
+      .filter(msg => byId.has(msg._id.toString()))
+      .map(msg => ({
+        ...byId.get(msg._id.toString()).toObject(),
+        variants: this.getVariantInfo(msg)
+      })),
+    total: path.length,
+    hasMore: start > 0
+  };
+};
+
 // Add message to conversation
-conversationSchema.methods.addMessage = function(messageData) {
-  const message = {
+// New messages reply to the current leaf unless a parent is given (null for a root).
+// The message is inserted on its own and the totals are updated in place, so
+// appending does not rewrite the conversation
+conversationSchema.methods.addMessage = async function(messageData) {
+  const parentMessageId = messageData.parentMessageId !== undefined
+    ? messageData.parentMessageId
+    : this.currentNodeId;
+
+  // Stay on the parent's branch unless a new one is started
+  const parent = this.getMessage(parentMessageId);
+
+  const message = await Message.create({
+    conversationId: this._id,
+    userId: this.userId,
     role: messageData.role,
     content: messageData.content,
     timestamp: new Date(),
     tokens: messageData.tokens || 0,
+    promptTokens: messageData.promptTokens || 0,
+    completionTokens: messageData.completionTokens || 0,
+    cost: messageData.cost || 0,
     model: messageData.model || this.model,
     attachments: messageData.attachments || [],
     metadata: messageData.metadata || {},
-    parentMessageId: messageData.parentMessageId,
-    threadId: messageData.threadId
-  };
+    parentMessageId,
+    threadId: messageData.threadId || parent?.threadId || MAIN_THREAD,
+    toolCalls: messageData.toolCalls,
+    toolCallId: messageData.toolCallId,
+    toolName: messageData.toolName
+  });
 
-  this.messages.push(message);
-  this.totalTokens += message.tokens || 0;
-  this.totalMessages += 1;
-  this.metadata.lastActivity = new Date();
-  this.metadata.messageCount = this.messages.length;
+  const messages = this.getMessages();
+  messages.push(message);
+
+  const update = {
+    $inc: {
+      totalTokens: message.tokens,
+      totalPromptTokens: message.promptTokens,
+      totalCompletionTokens: message.completionTokens,
+      totalCost: message.cost,
+      totalMessages: 1,
+      'metadata.messageCount': 1
+    },
+    $set: {
+      currentNodeId: message._id,
+      'metadata.lastActivity': message.timestamp
+    }
+  };
 
   // Update average response time
   if (message.role === 'assistant' && message.metadata.processingTime) {
-    const assistantMessages = this.messages.filter(msg => msg.role === 'assistant');
-    const totalTime = assistantMessages.reduce((sum, msg) => sum + (msg.metadata.processingTime || 0), 0);
-    this.metadata.averageResponseTime = totalTime / assistantMessages.length;
+    const assistantMessages = messages.filter(msg => msg.role === 'assistant');
+    const totalTime = assistantMessages.reduce((sum, msg) => sum + (msg.metadata?.processingTime || 0), 0);
+    update.$set['metadata.averageResponseTime'] = totalTime / assistantMessages.length;
   }
 
   // Auto-update title if it's still default
-  if (this.title === 'New Conversation' && message.role === 'user') {
-    this.title = message.content.substring(0, 50) + (message.content.length > 50 ? '...' : '');
+  // This is a placeholder until a title is generated after the first reply
+  if (this.title === 'New Conversation' && this.titleSource === 'default' && message.role === 'user') {
+    update.$set.title = message.content.substring(0, 50) + (message.content.length > 50 ? '...' : '');
   }
 
-  return this.save();
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, update, {
+    new: true,
+    projection: TOTAL_FIELDS.join(' ')
+  });
+
+  // Mirror the stored values without marking them modified, so saving this
+  // document later does not write back totals changed by other requests
+  if (updated) {
+    TOTAL_FIELDS.forEach(field => {
+      this.set(field, updated.get(field));
+      this.unmarkModified(field);
+    });
+  }
+
+  return message;
+};
+
+// Recompute the totals from the loaded messages
+conversationSchema.methods.recalculateTotals = function() {
+  const messages = this.getMessages();
+  const sum = (field) => messages.reduce((total, msg) => total + (msg[field] || 0), 0);
+  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
+  const background = this.backgroundUsage || {};
+  const backgroundTokens = (background.promptTokens || 0) + (background.completionTokens || 0);
+
+  this.totalTokens = sum('tokens') + backgroundTokens;
+  this.totalPromptTokens = sum('promptTokens') + (background.promptTokens || 0);
+  this.totalCompletionTokens = sum('completionTokens') + (background.completionTokens || 0);
+  this.totalCost = sum('cost') + (background.cost || 0);
+  this.totalMessages = messages.length;
+  this.metadata.messageCount = messages.length;
+  this.metadata.averageResponseTime = assistantMessages.length > 0
+    ? assistantMessages.reduce((total, msg) => total + (msg.metadata?.processingTime || 0), 0) / assistantMessages.length
+    : 0;
+};
+
+// Delete a message and recompute the totals
+// Its replies move up to its parent, so the turns after it are kept; with
+// `cascade` they are deleted along with it. When the active path ended at a
+// deleted message, it moves to the latest reply left under the message's
+// parent. Returns the IDs of the deleted messages, or null if the message
+// does not exist
+conversationSchema.methods.deleteMessage = async function(messageId, { cascade = false } = {}) {
+  const message = this.getMessage(messageId);
+  if (!message) return null;
+
+  const ids = [];
+  if (cascade) {
+    const pending = [message];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      ids.push(current._id);
+      pending.push(...this.getChildren(current._id));
+    }
+  } else {
+    const parentMessageId = message.parentMessageId || null;
+    await Message.updateMany(
+      { conversationId: this._id, parentMessageId: message._id },
+      { $set: { parentMessageId } }
+    );
+    this.getChildren(message._id).forEach(child => {
+      child.parentMessageId = parentMessageId;
+    });
+    ids.push(message._id);
+  }
+
+  const deleted = new Set(ids.map(String));
+  const wasActive = Boolean(this.currentNodeId) && deleted.has(this.currentNodeId.toString());
+
+  await Message.deleteMany({ conversationId: this._id, _id: { $in: ids } });
+
+  this.$locals.messages = this.getMessages().filter(msg => !deleted.has(msg._id.toString()));
+  this.recalculateTotals();
+
+  if (wasActive) {
+    const roots = this.getChildren(null);
+    const next = message.parentMessageId || roots[roots.length - 1]?._id;
+    if (next) {
+      await this.selectMessage(next);
+      return ids;
+    }
+    this.currentNodeId = undefined;
+  }
+
+  await this.save();
+  return ids;
+};
+
+// Check if the conversation holds as many messages as its settings allow
+conversationSchema.methods.isFull = function() {
+  return this.metadata.messageCount >= this.settings.maxMessages;
 };
 
 // Get conversation statistics
 conversationSchema.methods.getStats = function() {
-  const userMessages = this.messages.filter(msg => msg.role === 'user');
-  const assistantMessages = this.messages.filter(msg => msg.role === 'assistant');
+  const messages = this.getMessages();
+  const userMessages = messages.filter(msg => msg.role === 'user');
+  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
   
   return {
-    totalMessages: this.messages.length,
+    totalMessages: messages.length,
     userMessages: userMessages.length,
     assistantMessages: assistantMessages.length,
     totalTokens: this.totalTokens,
-    averageTokensPerMessage: this.messages.length > 0 ? this.totalTokens / this.messages.length : 0,
+    promptTokens: this.totalPromptTokens,
+    completionTokens: this.totalCompletionTokens,
+    totalCost: this.totalCost,
+    averageTokensPerMessage: messages.length > 0 ? this.totalTokens / messages.length : 0,
     duration: this.duration,
     averageResponseTime: this.metadata.averageResponseTime
   };
@@ -250,25 +624,59 @@ conversationSchema.methods.restore = function() {
 };
 
 // Clear conversation messages
-conversationSchema.methods.clearMessages = function() {
-  this.messages = [];
+conversationSchema.methods.clearMessages = async function() {
+  await Message.deleteMany({ conversationId: this._id });
+
+  this.$locals.messages = [];
+  this.currentNodeId = undefined;
+  this.summary = undefined;
   this.totalTokens = 0;
+  this.totalPromptTokens = 0;
+  this.totalCompletionTokens = 0;
+  this.totalCost = 0;
   this.totalMessages = 0;
+  this.backgroundUsage = undefined;
   this.metadata.messageCount = 0;
   this.metadata.averageResponseTime = 0;
   return this.save();
 };
 
 // Export conversation
-conversationSchema.methods.export = function() {
-  return {
+// `view: 'active'` exports the active path, `view: 'tree'` every branch
+conversationSchema.methods.export = function({ view = 'active' } = {}) {
+  const exportData = {
     id: this._id,
     title: this.title,
     model: this.model,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
+    systemPrompt: this.systemPrompt || null,
+    assistantId: this.assistantId || null,
     stats: this.getStats(),
-    messages: this.messages.map(msg => ({
+    view
+  };
+
+  if (view === 'tree') {
+    return {
+      ...exportData,
+      currentNodeId: this.currentNodeId || null,
+      branches: this.getBranches(),
+      messages: this.getMessages().map(msg => ({
+        id: msg._id,
+        parentMessageId: msg.parentMessageId || null,
+        threadId: msg.threadId || MAIN_THREAD,
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        model: msg.model,
+        attachments: msg.attachments
+      }))
+    };
+  }
+
+  return {
+    ...exportData,
+    messages: this.getActivePath().map(msg => ({
       role: msg.role,
       content: msg.content,
       timestamp: msg.timestamp,
@@ -278,6 +686,21 @@ conversationSchema.methods.export = function() {
   };
 };
 
+// Add the usage of a background model call to a conversation's totals
+conversationSchema.statics.addBackgroundUsage = function(conversationId, { promptTokens = 0, completionTokens = 0, cost = 0 } = {}) {
+  return this.updateOne({ _id: conversationId }, {
+    $inc: {
+      totalTokens: promptTokens + completionTokens,
+      totalPromptTokens: promptTokens,
+      totalCompletionTokens: completionTokens,
+      totalCost: cost,
+      'backgroundUsage.promptTokens': promptTokens,
+      'backgroundUsage.completionTokens': completionTokens,
+      'backgroundUsage.cost': cost
+    }
+  });
+};
+
 // Static method to find user conversations with pagination
 conversationSchema.statics.findUserConversations = function(userId, options = {}) {
   const {
@@ -297,21 +720,31 @@ conversationSchema.statics.findUserConversations = function(userId, options = {}
     .lean();
 };
 
+// Static method to build the query for conversations whose title or messages match a term
+conversationSchema.statics.getSearchQuery = async function(userId, searchTerm) {
+  const conversationIds = await Message.find({
+    userId,
+    content: { $regex: searchTerm, $options: 'i' }
+  }).distinct('conversationId');
+
+  return {
+    userId,
+    $or: [
+      { title: { $regex: searchTerm, $options: 'i' } },
+      { _id: { $in: conversationIds } }
+    ]
+  };
+};
+
 // Static method to search conversations
-conversationSchema.statics.searchConversations = function(userId, searchTerm, options = {}) {
+conversationSchema.statics.searchConversations = async function(userId, searchTerm, options = {}) {
   const {
     page = 1,
     limit = 20,
     sort = { 'metadata.lastActivity': -1 }
   } = options;
 
-  const query = {
-    userId,
-    $or: [
-      { title: { $regex: searchTerm, $options: 'i' } },
-      { 'messages.content': { $regex: searchTerm, $options: 'i' } }
-    ]
-  };
+  const query = await this.getSearchQuery(userId, searchTerm);
 
   return this.find(query)
     .sort(sort)
@@ -328,7 +761,7 @@ conversationSchema.statics.getUserAnalytics = function(userId, days = 30) {
   return this.aggregate([
     {
       $match: {
-        userId: mongoose.Types.ObjectId(userId),
+        userId: new mongoose.Types.ObjectId(userId),
         createdAt: { $gte: startDate }
       }
     },
@@ -338,6 +771,9 @@ conversationSchema.statics.getUserAnalytics = function(userId, days = 30) {
         totalConversations: { $sum: 1 },
         totalMessages: { $sum: '$totalMessages' },
         totalTokens: { $sum: '$totalTokens' },
+        promptTokens: { $sum: '$totalPromptTokens' },
+        completionTokens: { $sum: '$totalCompletionTokens' },
+        totalCost: { $sum: '$totalCost' },
         averageMessagesPerConversation: { $avg: '$totalMessages' },
         averageTokensPerConversation: { $avg: '$totalTokens' }
       }
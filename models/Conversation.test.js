@@ -0,0 +1,105 @@
+const { Types } = require('mongoose');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+
+describe('Conversation#deleteMessage', () => {
+  let conversation;
+  let messages;
+
+  // user1 -> assistant1 -> user2 -> assistant2a
+  //                              -> assistant2b (latest variant)
+  const build = () => {
+    conversation = new Conversation({ userId: new Types.ObjectId() });
+    const add = (key, role, parent, tokens) => {
+      messages[key] = new Message({
+        conversationId: conversation._id,
+        userId: conversation.userId,
+        role,
+        content: key,
+        parentMessageId: parent ? messages[parent]._id : null,
+        tokens,
+        cost: tokens / 1000
+      });
+    };
+
+    messages = {};
+    add('user1', 'user', null, 0);
+    add('assistant1', 'assistant', 'user1', 100);
+    add('user2', 'user', 'assistant1', 0);
+    add('assistant2a', 'assistant', 'user2', 200);
+    add('assistant2b', 'assistant', 'user2', 300);
+
+    conversation.$locals.messages = Object.values(messages);
+    conversation.currentNodeId = messages.assistant2b._id;
+  };
+
+  const remaining = () => conversation.getMessages().map(msg => msg.content);
+
+  beforeEach(() => {
+    build();
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Message, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(conversation, 'save').mockResolvedValue(conversation);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the replies of the message up to its parent', async () => {
+    const ids = await conversation.deleteMessage(messages.user2._id);
+
+    expect(ids).toEqual([messages.user2._id]);
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { conversationId: conversation._id, parentMessageId: messages.user2._id },
+      { $set: { parentMessageId: messages.assistant1._id } }
+    );
+    expect(Message.deleteMany).toHaveBeenCalledWith({ conversationId: conversation._id, _id: { $in: [messages.user2._id] } });
+    expect(remaining()).toEqual(['user1', 'assistant1', 'assistant2a', 'assistant2b']);
+    expect(conversation.getChildren(messages.assistant1._id).map(msg => msg.content)).toEqual(['assistant2a', 'assistant2b']);
+    expect(conversation.currentNodeId).toEqual(messages.assistant2b._id);
+  });
+
+  it('makes the replies of a deleted root message roots', async () => {
+    await conversation.deleteMessage(messages.user1._id);
+
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { conversationId: conversation._id, parentMessageId: messages.user1._id },
+      { $set: { parentMessageId: null } }
+    );
+    expect(conversation.getChildren(null).map(msg => msg.content)).toEqual(['assistant1']);
+  });
+
+  it('recomputes the totals from the messages left', async () => {
+    await conversation.deleteMessage(messages.assistant2a._id);
+
+    expect(conversation.totalTokens).toBe(400);
+    expect(conversation.totalCost).toBeCloseTo(0.4);
+    expect(conversation.totalMessages).toBe(4);
+    expect(conversation.metadata.messageCount).toBe(4);
+  });
+
+  it('moves the active path to the latest reply left when its leaf is deleted', async () => {
+    await conversation.deleteMessage(messages.assistant2b._id);
+
+    expect(conversation.currentNodeId).toEqual(messages.assistant2a._id);
+    expect(conversation.save).toHaveBeenCalled();
+  });
+
+  it('deletes the whole subtree with cascade', async () => {
+    const ids = await conversation.deleteMessage(messages.assistant1._id, { cascade: true });
+
+    expect(ids.map(String).sort()).toEqual(
+      ['assistant1', 'user2', 'assistant2a', 'assistant2b'].map(key => String(messages[key]._id)).sort()
+    );
+    expect(Message.updateMany).not.toHaveBeenCalled();
+    expect(remaining()).toEqual(['user1']);
+    expect(conversation.currentNodeId).toEqual(messages.user1._id);
+    expect(conversation.totalTokens).toBe(0);
+  });
+
+  it('returns null for a message that does not exist', async () => {
+    expect(await conversation.deleteMessage(new Types.ObjectId())).toBeNull();
+    expect(Message.deleteMany).not.toHaveBeenCalled();
+  });
+});
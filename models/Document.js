@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An uploaded document whose text has been extracted for retrieval
+// The file itself stays in uploads/; `fileId` is its upload ID (filename)
+const documentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+  // Why extraction failed
+  error: String,
+  // PDFs only; other formats have no pages
+  pageCount: Number,
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  tokenCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Serialize for API responses
+documentSchema.methods.toPublicJSON = function() {
+  return {
+    fileId: this.fileId,
+    originalName: this.originalName,
+    mimetype: this.mimetype,
+    size: this.size,
+    status: this.status,
+    error: this.error,
+    pageCount: this.pageCount,
+    chunkCount: this.chunkCount,
+    tokenCount: this.tokenCount,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Document', documentSchema);
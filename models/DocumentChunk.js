@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A passage of an uploaded document, the unit of retrieval
+const documentChunkSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileId: {
+    type: String,
+    required: true
+  },
+  // Position of the chunk in the document
+  index: {
+    type: Number,
+    required: true
+  },
+  // PDF page the chunk comes from
+  page: Number,
+  content: {
+    type: String,
+    required: true
+  },
+  tokens: Number
+});
+
+documentChunkSchema.index({ userId: 1, fileId: 1, index: 1 });
+documentChunkSchema.index({ content: 'text' });
+
+module.exports = mongoose.model('DocumentChunk', documentChunkSchema);
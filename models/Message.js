@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const { DEFAULT_MODEL, isSupportedModel } = require('../config/models');
+
+// Models come from the configured providers, so validate against the catalog
+// instead of a fixed enum
+const modelValidator = {
+  validator: isSupportedModel,
+  message: props => `${props.value} is not an available model`
+};
+
+// A function call requested by the model
+const toolCallSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // JSON-encoded arguments, as produced by the model
+  arguments: {
+    type: String,
+    default: '{}'
+  }
+}, { _id: false });
+
+// A user's rating of an assistant reply
+const feedbackSchema = new mongoose.Schema({
+  rating: {
+    type: String,
+    enum: ['up', 'down'],
+    required: true
+  },
+  // What was good or wrong about the reply
+  category: {
+    type: String,
+    enum: ['helpful', 'accurate', 'well_written', 'inaccurate', 'unhelpful', 'incomplete', 'harmful', 'other']
+  },
+  comment: {
+    type: String,
+    maxlength: 1000
+  },
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when an admin has reviewed the rating; rating again clears it
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// A message of a conversation
+// Messages are stored apart from their conversation so appending one does not
+// rewrite the whole history; the conversation keeps the totals and the active leaf
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Owner of the conversation, for searches and reports across conversations
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // `tool` messages hold the result of a tool call made by the preceding assistant message
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'system', 'tool'],
+    required: true
+  },
+  // Assistant messages that only call tools may have no text.
+  // No length limit here: replies can be as long as the model's output allows,
+  // and user input is limited by the request validation
+  content: {
+    type: String,
+    required: function() {
+      return !(this.toolCalls && this.toolCalls.length);
+    }
+  },
+  toolCalls: {
+    type: [toolCallSchema],
+    default: undefined
+  },
+  // For tool messages: the call they answer and the tool that was run
+  toolCallId: String,
+  toolName: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Total tokens billed for this message (prompt + completion)
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  // Cost of generating this message in USD
+  cost: {
+    type: Number,
+    default: 0
+  },
+  model: {
+    type: String,
+    validate: modelValidator,
+    default: DEFAULT_MODEL
+  },
+  // For file attachments
+  attachments: [{
+    filename: String,
+    url: String,
+    mimetype: String,
+    size: Number
+  }],
+  // For message metadata
+  metadata: {
+    processingTime: Number, // Time taken to generate response
+    error: String, // If there was an error
+    truncated: Boolean, // Generation was stopped before the reply was complete
+    // Prompt template the user message was written from
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptTemplate'
+    },
+    // Failed model requests before the reply was generated
+    retryCount: {
+      type: Number,
+      default: 0
+    },
+    // Model the reply was asked from, when a fallback model generated it
+    requestedModel: String,
+    // Side-by-side comparison the reply is a candidate of, and whether the
+    // user picked it as the winner (unset until they pick one)
+    comparisonId: String,
+    preferred: Boolean,
+    // Document passages the reply was given, cited by number
+    sources: {
+      type: [{
+        _id: false,
+        number: Number,
+        fileId: String,
+        filename: String,
+        page: Number,
+        chunkIndex: Number
+      }],
+      default: undefined
+    },
+    // Where token counts came from: the provider's usage report or the local tokenizer
+    usageSource: {
+      type: String,
+      enum: ['provider', 'tokenizer']
+    },
+    // How the history was fitted into the model's context window
+    context: {
+      strategy: {
+        type: String,
+        enum: ['full', 'summarized', 'compressed', 'truncated']
+      },
+      promptTokens: Number,
+      includedMessages: Number,
+      summarizedMessages: Number,
+      compressedMessages: Number,
+      droppedMessages: Number
+    }
+  },
+  // Only assistant replies are rated
+  feedback: feedbackSchema,
+  // Set when the text was changed in place after the message was sent
+  editedAt: Date,
+  // Pinned messages are listed with their conversation; bookmarked ones in
+  // the user's bookmarks across conversations
+  pinnedAt: Date,
+  bookmarkedAt: Date,
+  // For message threading and context
+  // Messages form a tree: each message points at the message it replies to, and
+  // regenerated replies are siblings sharing the same parent
+  parentMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Branch the message belongs to. Replies stay on their parent's branch; edits
+  // and regenerations start a new one
+  threadId: {
+    type: String,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversationId: 1, _id: 1 });
+messageSchema.index({ userId: 1, timestamp: -1 });
+messageSchema.index({ content: 'text' });
+messageSchema.index({ 'feedback.rating': 1, 'feedback.ratedAt': -1 }, { sparse: true });
+messageSchema.index({ userId: 1, bookmarkedAt: -1 }, { sparse: true });
+
+// Static method to report assistant message spend by day and model
+// (and by subscription plan for admin reports)
+messageSchema.statics.getCostReport = async function({ userId, startDate, byPlan = false } = {}) {
+  const spend = {
+    cost: { $sum: '$cost' },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    messages: { $sum: 1 }
+  };
+
+  const facets = {
+    total: [
+      { $group: { _id: null, ...spend } }
+    ],
+    byDay: [
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          ...spend
+        }
+      },
+      { $sort: { _id: 1 } }
+    ],
+    byModel: [
+      { $group: { _id: '$model', ...spend } },
+      { $sort: { cost: -1 } }
+    ]
+  };
+
+  if (byPlan) {
+    facets.byPlan = [
+      { $group: { _id: '$userId', ...spend } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' },
+      {
+        $group: {
+          _id: '$user.subscription.plan',
+          users: { $sum: 1 },
+          cost: { $sum: '$cost' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          messages: { $sum: '$messages' }
+        }
+      },
+      { $sort: { cost: -1 } }
+    ];
+  }
+
+  const [report] = await this.aggregate([
+    {
+      $match: {
+        ...(userId ? { userId: new mongoose.Types.ObjectId(userId) } : {}),
+        role: 'assistant',
+        timestamp: { $gte: startDate }
+      }
+    },
+    { $facet: facets }
+  ]);
+
+  return {
+    ...report,
+    total: report.total[0] || { cost: 0, promptTokens: 0, completionTokens: 0, messages: 0 }
+  };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
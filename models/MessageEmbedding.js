@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Embedding of a chat message, for semantic search
+// Vectors are normalized, so the dot product of two is their cosine similarity
+const messageEmbeddingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+    index: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant']
+  },
+  // Embedding model; vectors of different models are not comparable
+  model: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Searches scan a user's newest vectors of one model
+messageEmbeddingSchema.index({ userId: 1, model: 1, _id: -1 });
+
+module.exports = mongoose.model('MessageEmbedding', messageEmbeddingSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { isSupportedModel } = require('../config/models');
+
+// Placeholders look like {{name}}; names are letters, digits and underscores
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const variableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Used when no value is supplied; variables without one are required
+  defaultValue: {
+    type: String,
+    maxlength: 2000
+  }
+}, { _id: false });
+
+const promptTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 4000
+  },
+  // Kept in sync with the placeholders in `content`
+  variables: [variableSchema],
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Personal templates are only visible to their owner; public ones to everyone
+  scope: {
+    type: String,
+    enum: ['personal', 'public'],
+    default: 'personal',
+    index: true
+  },
+  // Model for conversations started from the template
+  model: {
+    type: String,
+    validate: {
+      validator: isSupportedModel,
+      message: props => `${props.value} is not an available model`
+    }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ scope: 1, usageCount: -1 });
+promptTemplateSchema.index({ name: 'text', description: 'text' });
+
+// List the variable names used in a template, in order of appearance
+promptTemplateSchema.statics.extractVariables = function(content) {
+  const names = [];
+  for (const match of content.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+// Keep the variable list in sync with the content, preserving descriptions and defaults
+promptTemplateSchema.pre('validate', function(next) {
+  if (this.content) {
+    const existing = new Map(this.variables.map(variable => [variable.name, variable]));
+    this.variables = this.constructor.extractVariables(this.content).map(name => {
+      const variable = existing.get(name);
+      return variable
+        ? { name, description: variable.description, defaultValue: variable.defaultValue }
+        : { name };
+    });
+  }
+  next();
+});
+
+// Fill in the placeholders
+// Returns the text and the names of required variables that have no value
+promptTemplateSchema.methods.render = function(values = {}) {
+  const missing = [];
+
+  this.variables.forEach(variable => {
+    const value = values[variable.name];
+    if ((value === undefined || value === '') && variable.defaultValue === undefined) {
+      missing.push(variable.name);
+    }
+  });
+
+  const content = this.content.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    if (value !== undefined && value !== '') return value;
+
+    const variable = this.variables.find(item => item.name === name);
+    return variable?.defaultValue ?? placeholder;
+  });
+
+  return { content, missing };
+};
+
+// Count a use of the template
+promptTemplateSchema.methods.recordUse = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
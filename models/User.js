@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { DEFAULT_MODEL, isSupportedModel } = require('../config/models');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -80,18 +81,45 @@ const userSchema = new mongoose.Schema({
     totalTokens: {
       type: Number,
       default: 0
+    },
+    promptTokens: {
+      type: Number,
+      default: 0
+    },
+    completionTokens: {
+      type: Number,
+      default: 0
+    },
+    // Spend in USD
+    costThisMonth: {
+      type: Number,
+      default: 0
+    },
+    totalCost: {
+      type: Number,
+      default: 0
     }
   },
   preferences: {
     defaultModel: {
       type: String,
-      enum: ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'],
-      default: 'gpt-4o-mini'
+      validate: {
+        validator: isSupportedModel,
+        message: props => `${props.value} is not an available model`
+      },
+      default: DEFAULT_MODEL
     },
     language: {
       type: String,
       default: 'en'
     },
+    // Added to the system prompt of every conversation without its own
+    customInstructions: {
+      type: String,
+      trim: true,
+      maxlength: 1500,
+      default: ''
+    },
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
@@ -213,8 +241,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Check if user can send message based on subscription
-userSchema.methods.canSendMessage = function() {
+// Check if user can send `count` more messages this month based on subscription
+userSchema.methods.canSendMessage = function(count = 1) {
   const limits = {
     free: 20,
     basic: 100,
@@ -222,7 +250,7 @@ userSchema.methods.canSendMessage = function() {
   };
   
   const limit = limits[this.subscription.plan];
-  return this.usage.messagesThisMonth < limit;
+  return this.usage.messagesThisMonth + count <= limit;
 };
 
 // Reset monthly usage
@@ -232,18 +260,51 @@ userSchema.methods.resetMonthlyUsage = function() {
   
   if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
     this.usage.messagesThisMonth = 0;
+    this.usage.costThisMonth = 0;
     this.usage.lastResetDate = now;
     return true;
   }
   return false;
 };
 
+// Add to a user's usage
+// The counters are updated atomically, so replies generated at the same time
+// for one user all count. Monthly counters start over if the stored ones are
+// from an earlier month. Resolves to the user's updated usage, or null
+userSchema.statics.incrementUsage = function(userId, messageCount = 1, { promptTokens = 0, completionTokens = 0, cost = 0 } = {}) {
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const isStale = { $lt: ['$usage.lastResetDate', monthStart] };
+  const add = (field, value) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, value] });
+  const addThisMonth = (field, value) => ({ $add: [{ $cond: [isStale, 0, { $ifNull: [`$${field}`, 0] }] }, value] });
+
+  return this.findOneAndUpdate({ _id: userId }, [{
+    $set: {
+      'usage.messagesThisMonth': addThisMonth('usage.messagesThisMonth', messageCount),
+      'usage.costThisMonth': addThisMonth('usage.costThisMonth', cost),
+      'usage.lastResetDate': { $cond: [isStale, now, '$usage.lastResetDate'] },
+      'usage.totalMessages': add('usage.totalMessages', messageCount),
+      'usage.totalTokens': add('usage.totalTokens', promptTokens + completionTokens),
+      'usage.promptTokens': add('usage.promptTokens', promptTokens),
+      'usage.completionTokens': add('usage.completionTokens', completionTokens),
+      'usage.totalCost': add('usage.totalCost', cost),
+      'analytics.lastActive': now
+    }
+  }], { new: true, projection: 'usage analytics.lastActive' });
+};
+
 // Increment usage
-userSchema.methods.incrementUsage = function(messageCount = 1, tokenCount = 0) {
-  this.usage.messagesThisMonth += messageCount;
-  this.usage.totalMessages += messageCount;
-  this.usage.totalTokens += tokenCount;
-  this.analytics.lastActive = new Date();
+// The document is updated to match the stored counters without being marked
+// modified, so saving it later does not write back older counters
+userSchema.methods.incrementUsage = async function(messageCount = 1, usage = {}) {
+  const updated = await this.constructor.incrementUsage(this._id, messageCount, usage);
+
+  if (updated) {
+    ['usage', 'analytics.lastActive'].forEach(field => {
+      this.set(field, updated.get(field));
+      this.unmarkModified(field);
+    });
+  }
 };
 
 // Check if account is locked
@@ -0,0 +1,127 @@
+const { Types } = require('mongoose');
+const User = require('./User');
+
+// Evaluate the aggregation expressions used by the usage update on a stored document
+const get = (doc, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], doc);
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return get(doc, expression.slice(1));
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$add': return values().reduce((sum, value) => sum + value, 0);
+    case '$ifNull': { const [value, fallback] = values(); return value ?? fallback; }
+    case '$lt': { const [a, b] = values(); return a < b; }
+    case '$cond': return evaluate(evaluate(args[0], doc) ? args[1] : args[2], doc);
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// Apply a `$set` pipeline update to a stored document, as MongoDB would
+const applyPipeline = (doc, pipeline) => {
+  const updated = JSON.parse(JSON.stringify(doc));
+  pipeline.forEach(({ $set }) => {
+    const values = Object.entries($set).map(([fieldPath, expression]) => [fieldPath, evaluate(expression, doc)]);
+    values.forEach(([fieldPath, value]) => {
+      const keys = fieldPath.split('.');
+      const parent = keys.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), updated);
+      parent[keys[keys.length - 1]] = value;
+    });
+  });
+  return updated;
+};
+
+describe('User.incrementUsage', () => {
+  const monthStart = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  };
+
+  let stored;
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    stored = {
+      usage: {
+        messagesThisMonth: 5,
+        costThisMonth: 0.5,
+        lastResetDate: new Date(monthStart().getTime() + 1000),
+        totalMessages: 40,
+        totalTokens: 1000,
+        promptTokens: 700,
+        completionTokens: 300,
+        totalCost: 2
+      }
+    };
+
+    // Updates are applied one at a time to the stored document, like the database does
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, pipeline) => {
+      updates.push({ filter, pipeline });
+      stored = applyPipeline(stored, pipeline);
+      return Promise.resolve(User.hydrate({ _id: filter._id, ...stored }));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds to the counters in one atomic update', async () => {
+    const userId = new Types.ObjectId();
+    await User.incrementUsage(userId, 1, { promptTokens: 30, completionTokens: 20, cost: 0.25 });
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].filter).toEqual({ _id: userId });
+    expect(Array.isArray(updates[0].pipeline)).toBe(true);
+    expect(stored.usage).toMatchObject({
+      messagesThisMonth: 6,
+      costThisMonth: 0.75,
+      totalMessages: 41,
+      totalTokens: 1050,
+      promptTokens: 730,
+      completionTokens: 320,
+      totalCost: 2.25
+    });
+  });
+
+  it('counts every one of several concurrent updates', async () => {
+    const userId = new Types.ObjectId();
+    await Promise.all([1, 2, 3].map(() => User.incrementUsage(userId, 1, { promptTokens: 10, cost: 0.1 })));
+
+    expect(stored.usage.messagesThisMonth).toBe(8);
+    expect(stored.usage.promptTokens).toBe(730);
+    expect(stored.usage.totalCost).toBeCloseTo(2.3);
+  });
+
+  it('starts the monthly counters over when they are from an earlier month', async () => {
+    stored.usage.lastResetDate = new Date(monthStart().getTime() - 24 * 60 * 60 * 1000);
+
+    await User.incrementUsage(new Types.ObjectId(), 1, { cost: 0.1 });
+
+    expect(stored.usage.messagesThisMonth).toBe(1);
+    expect(stored.usage.costThisMonth).toBe(0.1);
+    expect(stored.usage.totalMessages).toBe(41);
+    expect(new Date(stored.usage.lastResetDate).getTime()).toBeGreaterThanOrEqual(monthStart().getTime());
+  });
+
+  it('starts from zero for counters that are not stored yet', async () => {
+    stored = { usage: { lastResetDate: new Date() } };
+
+    await User.incrementUsage(new Types.ObjectId(), 0, { promptTokens: 12, cost: 0.01 });
+
+    expect(stored.usage).toMatchObject({ messagesThisMonth: 0, totalTokens: 12, promptTokens: 12, completionTokens: 0, totalCost: 0.01 });
+  });
+
+  it('mirrors the stored usage on the document without marking it modified', async () => {
+    const user = new User({ email: 'user@example.com', username: 'user', password: 'password1' });
+
+    await user.incrementUsage(1, { completionTokens: 5 });
+
+    expect(user.usage.messagesThisMonth).toBe(6);
+    expect(user.usage.completionTokens).toBe(305);
+    expect(user.isModified('usage')).toBe(false);
+  });
+});
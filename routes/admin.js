@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Assistant = require('../models/Assistant');
 const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logInfo, logWarn } = require('../utils/logger');
+const { toTND, USD_TO_TND } = require('../utils/cost');
+const { PLAN_PRICES } = require('../config/plans');
+const { removeEmbeddings } = require('../services/semanticSearch');
 
 // Admin authorization middleware
 const requireAdmin = async (req, res, next) => {
@@ -69,6 +74,9 @@ router.get('/dashboard', requireAuth, requireAdmin, asyncHandler(async (req, res
         _id: null,
         totalMessages: { $sum: '$usage.totalMessages' },
         totalTokens: { $sum: '$usage.totalTokens' },
+        promptTokens: { $sum: '$usage.promptTokens' },
+        completionTokens: { $sum: '$usage.completionTokens' },
+        totalCost: { $sum: '$usage.totalCost' },
         avgMessagesPerUser: { $avg: '$usage.totalMessages' }
       }
     }
@@ -115,6 +123,9 @@ router.get('/dashboard', requireAuth, requireAdmin, asyncHandler(async (req, res
       usage: usageStats[0] || {
         totalMessages: 0,
         totalTokens: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalCost: 0,
         avgMessagesPerUser: 0
       },
       planDistribution,
@@ -244,6 +255,8 @@ router.delete('/users/:id', requireAuth, requireAdmin, asyncHandler(async (req,
 
   // Delete user's conversations
   await Conversation.deleteMany({ userId: user._id });
+  await Message.deleteMany({ userId: user._id });
+  await removeEmbeddings(user._id);
   
   // Delete user
   await User.findByIdAndDelete(req.params.id);
@@ -375,7 +388,10 @@ router.get('/analytics/usage', requireAuth, requireAdmin, asyncHandler(async (re
           $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
         },
         conversations: { $sum: 1 },
-        totalTokens: { $sum: '$totalTokens' }
+        totalTokens: { $sum: '$totalTokens' },
+        promptTokens: { $sum: '$totalPromptTokens' },
+        completionTokens: { $sum: '$totalCompletionTokens' },
+        totalCost: { $sum: '$totalCost' }
       }
     },
     {
@@ -389,4 +405,416 @@ router.get('/analytics/usage', requireAuth, requireAdmin, asyncHandler(async (re
   });
 }));
 
+// Spend by day, model and plan, compared with what each plan earns
+router.get('/analytics/usage/cost', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const report = await Message.getCostReport({ startDate, byPlan: true });
+
+  // Prorate monthly plan prices to the reported period
+  const byPlan = report.byPlan.map(plan => {
+    const costPerUserTND = plan.users > 0 ? toTND(plan.cost / plan.users) : 0;
+    const revenuePerUserTND = Math.round((PLAN_PRICES[plan._id] || 0) * (days / 30) * 1000) / 1000;
+
+    return {
+      ...plan,
+      costTND: toTND(plan.cost),
+      costPerUserTND,
+      revenuePerUserTND,
+      marginPerUserTND: Math.round((revenuePerUserTND - costPerUserTND) * 1000) / 1000
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      period: `${days} days`,
+      currency: 'USD',
+      exchangeRate: USD_TO_TND,
+      total: {
+        ...report.total,
+        costTND: toTND(report.total.cost)
+      },
+      byDay: report.byDay,
+      byModel: report.byModel,
+      byPlan
+    }
+  });
+}));
+
+// Assistant usage and ratings
+router.get('/analytics/assistants', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const limit = parseInt(req.query.limit) || 20;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  // Conversations with each assistant in the period
+  const usage = await Conversation.aggregate([
+    {
+      $match: {
+        assistantId: { $exists: true, $ne: null },
+        createdAt: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$assistantId',
+        conversations: { $sum: 1 },
+        users: { $addToSet: '$userId' },
+        messages: { $sum: '$totalMessages' },
+        tokens: { $sum: '$totalTokens' },
+        cost: { $sum: '$totalCost' }
+      }
+    },
+    { $sort: { conversations: -1 } },
+    { $limit: limit }
+  ]);
+
+  const assistants = await Assistant.find({ _id: { $in: usage.map(item => item._id) } })
+    .select('name avatar model userId ratingAverage ratingCount conversationCount shareToken sharedWith')
+    .lean();
+  const assistantsById = new Map(assistants.map(assistant => [assistant._id.toString(), assistant]));
+
+  const topAssistants = usage.map(item => {
+    const assistant = assistantsById.get(item._id.toString());
+    return {
+      assistantId: item._id,
+      name: assistant?.name || null,
+      model: assistant?.model || null,
+      ownerId: assistant?.userId || null,
+      isShared: Boolean(assistant?.shareToken),
+      sharedWithCount: assistant?.sharedWith.length || 0,
+      conversations: item.conversations,
+      users: item.users.length,
+      messages: item.messages,
+      tokens: item.tokens,
+      cost: item.cost,
+      totalConversations: assistant?.conversationCount || 0,
+      ratingAverage: assistant?.ratingAverage || 0,
+      ratingCount: assistant?.ratingCount || 0
+    };
+  });
+
+  // Ratings across all assistants
+  const [ratings] = await Assistant.aggregate([
+    { $unwind: '$ratings' },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              average: { $avg: '$ratings.rating' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        distribution: [
+          { $group: { _id: '$ratings.rating', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        topRated: [
+          { $group: { _id: '$_id', name: { $first: '$name' }, average: { $avg: '$ratings.rating' }, count: { $sum: 1 } } },
+          { $match: { count: { $gte: 3 } } },
+          { $sort: { average: -1, count: -1 } },
+          { $limit: 10 }
+        ]
+      }
+    }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      period: `${days} days`,
+      totalAssistants: await Assistant.countDocuments(),
+      sharedAssistants: await Assistant.countDocuments({ shareToken: { $exists: true } }),
+      topAssistants,
+      ratings: {
+        average: ratings?.overall[0]?.average || 0,
+        count: ratings?.overall[0]?.count || 0,
+        distribution: ratings?.distribution || [],
+        topRated: ratings?.topRated || []
+      }
+    }
+  });
+}));
+
+// Model preferences from side-by-side comparisons
+// Only comparisons the user picked a winner for are counted
+router.get('/analytics/comparisons', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [report] = await Message.aggregate([
+    {
+      $match: {
+        role: 'assistant',
+        'metadata.comparisonId': { $exists: true },
+        timestamp: { $gte: startDate }
+      }
+    },
+    {
+      $facet: {
+        byModel: [
+          { $match: { 'metadata.preferred': { $exists: true } } },
+          {
+            $group: {
+              _id: '$model',
+              comparisons: { $sum: 1 },
+              wins: { $sum: { $cond: ['$metadata.preferred', 1, 0] } }
+            }
+          },
+          { $sort: { wins: -1, comparisons: -1 } }
+        ],
+        comparisons: [
+          {
+            $group: {
+              _id: '$metadata.comparisonId',
+              decided: { $max: { $cond: [{ $ifNull: ['$metadata.preferred', false] }, 1, 0] } }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              decided: { $sum: '$decided' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      period: `${days} days`,
+      comparisons: report.comparisons[0]?.total || 0,
+      decided: report.comparisons[0]?.decided || 0,
+      byModel: report.byModel.map(item => ({
+        model: item._id,
+        comparisons: item.comparisons,
+        wins: item.wins,
+        losses: item.comparisons - item.wins,
+        winRate: Math.round(item.wins / item.comparisons * 1000) / 1000
+      }))
+    }
+  });
+}));
+
+// Messages shown before a rated reply in the review queue
+const REVIEW_CONTEXT_MESSAGES = 4;
+
+// Ratings of assistant replies by model, by assistant and by category
+router.get('/analytics/feedback', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const ratings = {
+    total: { $sum: 1 },
+    up: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+    down: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } }
+  };
+
+  const [report] = await Message.aggregate([
+    {
+      $match: {
+        'feedback.rating': { $exists: true },
+        'feedback.ratedAt': { $gte: startDate }
+      }
+    },
+    {
+      $facet: {
+        overall: [
+          { $group: { _id: null, ...ratings } }
+        ],
+        byModel: [
+          { $group: { _id: '$model', ...ratings } },
+          { $sort: { total: -1 } }
+        ],
+        byAssistant: [
+          {
+            $lookup: {
+              from: 'conversations',
+              localField: 'conversationId',
+              foreignField: '_id',
+              as: 'conversation'
+            }
+          },
+          { $unwind: '$conversation' },
+          { $match: { 'conversation.assistantId': { $exists: true, $ne: null } } },
+          { $group: { _id: '$conversation.assistantId', ...ratings } },
+          { $sort: { total: -1 } }
+        ],
+        byCategory: [
+          { $match: { 'feedback.category': { $exists: true } } },
+          { $group: { _id: { rating: '$feedback.rating', category: '$feedback.category' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const assistants = await Assistant.find({ _id: { $in: report.byAssistant.map(item => item._id) } })
+    .select('name')
+    .lean();
+  const assistantNames = new Map(assistants.map(assistant => [assistant._id.toString(), assistant.name]));
+
+  // Share of ratings that are thumbs up
+  const withRate = ({ total, up, down }) => ({
+    total,
+    up,
+    down,
+    satisfaction: total > 0 ? Math.round(up / total * 1000) / 1000 : 0
+  });
+
+  res.json({
+    success: true,
+    data: {
+      period: `${days} days`,
+      overall: withRate(report.overall[0] || { total: 0, up: 0, down: 0 }),
+      byModel: report.byModel.map(item => ({ model: item._id, ...withRate(item) })),
+      byAssistant: report.byAssistant.map(item => ({
+        assistantId: item._id,
+        name: assistantNames.get(item._id.toString()) || null,
+        ...withRate(item)
+      })),
+      byCategory: report.byCategory.map(item => ({
+        rating: item._id.rating,
+        category: item._id.category,
+        count: item.count
+      }))
+    }
+  });
+}));
+
+// Load the messages before each reply on its branch, oldest first, one
+// level of parents per query
+const loadReviewContext = async (replies) => {
+  const contexts = new Map(replies.map(reply => [reply._id.toString(), []]));
+  let frontier = replies.map(reply => ({ key: reply._id.toString(), parentId: reply.parentMessageId }));
+
+  for (let depth = 0; depth < REVIEW_CONTEXT_MESSAGES; depth++) {
+    frontier = frontier.filter(item => item.parentId);
+    if (frontier.length === 0) break;
+
+    const parents = await Message.find({ _id: { $in: frontier.map(item => item.parentId) } })
+      .select('role content model toolName timestamp parentMessageId')
+      .lean();
+    const parentsById = new Map(parents.map(parent => [parent._id.toString(), parent]));
+
+    frontier = frontier.map(item => {
+      const parent = parentsById.get(item.parentId.toString());
+      if (!parent) return { key: item.key };
+
+      const { parentMessageId, ...message } = parent;
+      contexts.get(item.key).unshift(message);
+      return { key: item.key, parentId: parentMessageId };
+    });
+  }
+
+  return contexts;
+};
+
+// Review queue: negatively rated replies with the messages before them
+// `status` is `pending` (default), `reviewed` or `all`
+router.get('/feedback', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const status = req.query.status || 'pending';
+
+  const query = { 'feedback.rating': 'down' };
+
+  if (status === 'pending') {
+    query['feedback.reviewedAt'] = { $exists: false };
+  } else if (status === 'reviewed') {
+    query['feedback.reviewedAt'] = { $exists: true };
+  }
+
+  if (req.query.category) {
+    query['feedback.category'] = req.query.category;
+  }
+
+  if (req.query.model) {
+    query.model = req.query.model;
+  }
+
+  const [replies, total] = await Promise.all([
+    Message.find(query)
+      .select('conversationId userId content model timestamp feedback parentMessageId')
+      .sort({ 'feedback.ratedAt': -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Message.countDocuments(query)
+  ]);
+
+  const [contexts, conversations, users] = await Promise.all([
+    loadReviewContext(replies),
+    Conversation.find({ _id: { $in: replies.map(reply => reply.conversationId) } })
+      .select('title assistantId systemPrompt')
+      .lean(),
+    User.find({ _id: { $in: replies.map(reply => reply.userId) } })
+      .select('username email')
+      .lean()
+  ]);
+  const conversationsById = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  res.json({
+    success: true,
+    data: {
+      items: replies.map(reply => ({
+        message: {
+          _id: reply._id,
+          content: reply.content,
+          model: reply.model,
+          timestamp: reply.timestamp
+        },
+        feedback: reply.feedback,
+        context: contexts.get(reply._id.toString()),
+        conversation: conversationsById.get(reply.conversationId.toString()) || null,
+        user: usersById.get(reply.userId.toString()) || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// Mark a rating as reviewed
+router.put('/feedback/:messageId/review', requireAuth, requireAdmin, asyncHandler(async (req, res) => {
+  const message = await Message.findOneAndUpdate(
+    { _id: req.params.messageId, 'feedback.rating': { $exists: true } },
+    { $set: { 'feedback.reviewedAt': new Date(), 'feedback.reviewedBy': req.user._id } },
+    { new: true }
+  ).select('feedback');
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Feedback not found'
+    });
+  }
+
+  logInfo('Feedback reviewed', {
+    adminId: req.user.id,
+    messageId: message._id
+  });
+
+  res.json({
+    success: true,
+    data: {
+      messageId: message._id,
+      feedback: message.feedback
+    }
+  });
+}));
+
 module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const Assistant = require('../models/Assistant');
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, schemas } = require('../middleware/validation');
+const { logInfo } = require('../utils/logger');
+
+// Link the frontend opens to add a shared assistant
+const getShareUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/assistants/shared/${token}`;
+
+// Owners see everything; users it is shared with see the public view
+const serializeAssistant = (assistant, userId) => {
+  if (assistant.userId.toString() !== userId.toString()) {
+    return { ...assistant.toPublicJSON(), isOwner: false };
+  }
+
+  const { ratings, sharedWith, ...data } = assistant.toObject();
+  return {
+    ...data,
+    sharedWithCount: sharedWith.length,
+    shareUrl: assistant.shareToken ? getShareUrl(assistant.shareToken) : null,
+    isOwner: true
+  };
+};
+
+// List the user's assistants and those shared with them
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const assistants = await Assistant.findAccessible(req.user._id)
+    .sort({ updatedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      assistants: assistants.map(assistant => serializeAssistant(assistant, req.user._id))
+    }
+  });
+}));
+
+// Open a share link, adding the assistant to the user's list
+router.get('/shared/:token', requireAuth, asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findOne({ shareToken: req.params.token });
+
+  if (!assistant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  if (!assistant.isAccessibleBy(req.user._id)) {
+    assistant.sharedWith.push(req.user._id);
+    await assistant.save();
+  }
+
+  res.json({
+    success: true,
+    data: {
+      assistant: serializeAssistant(assistant, req.user._id)
+    }
+  });
+}));
+
+// Get assistant
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findById(req.params.id);
+
+  if (!assistant || !assistant.isAccessibleBy(req.user._id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      assistant: serializeAssistant(assistant, req.user._id)
+    }
+  });
+}));
+
+// Create assistant
+router.post('/', requireAuth, validate(schemas.createAssistant), asyncHandler(async (req, res) => {
+  const assistant = new Assistant({
+    ...req.body,
+    userId: req.user._id
+  });
+
+  await assistant.save();
+
+  logInfo('Assistant created', {
+    userId: req.user._id,
+    assistantId: assistant._id,
+    model: assistant.model
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      assistant: serializeAssistant(assistant, req.user._id)
+    }
+  });
+}));
+
+// Update assistant
+router.put('/:id', requireAuth, validate(schemas.updateAssistant), asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!assistant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  assistant.set(req.body);
+  await assistant.save();
+
+  res.json({
+    success: true,
+    data: {
+      assistant: serializeAssistant(assistant, req.user._id)
+    }
+  });
+}));
+
+// Delete assistant
+// Conversations with it keep their settings but lose its instructions
+router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!assistant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Assistant deleted successfully'
+  });
+}));
+
+// Create a share link
+router.post('/:id/share', requireAuth, asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!assistant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  await assistant.share();
+
+  res.json({
+    success: true,
+    data: {
+      shareToken: assistant.shareToken,
+      shareUrl: getShareUrl(assistant.shareToken)
+    }
+  });
+}));
+
+// Revoke the share link
+router.delete('/:id/share', requireAuth, asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!assistant) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  await assistant.unshare();
+
+  res.json({
+    success: true,
+    message: 'Share link revoked successfully'
+  });
+}));
+
+// Rate an assistant; rating again replaces the previous rating
+router.post('/:id/rate', requireAuth, validate(schemas.rateAssistant), asyncHandler(async (req, res) => {
+  const assistant = await Assistant.findById(req.params.id);
+
+  if (!assistant || !assistant.isAccessibleBy(req.user._id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assistant not found'
+    });
+  }
+
+  await assistant.rate(req.user._id, req.body.rating, req.body.comment);
+
+  res.json({
+    success: true,
+    data: {
+      ratingAverage: assistant.ratingAverage,
+      ratingCount: assistant.ratingCount
+    }
+  });
+}));
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { requireAuth } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -184,6 +185,7 @@ router.get('/profile', requireAuth, async (req, res) => {
         username: user.username,
         subscription: user.subscription,
         usage: user.usage,
+        preferences: user.preferences,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt
       }
@@ -240,6 +242,30 @@ router.put('/profile', requireAuth, async (req, res) => {
   }
 });
 
+// Update user preferences, including custom instructions for the model
+router.put('/preferences', requireAuth, validate(schemas.updatePreferences), async (req, res) => {
+  try {
+    const updates = {};
+    Object.entries(req.body).forEach(([key, value]) => {
+      updates[`preferences.${key}`] = value;
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      success: true,
+      preferences: user.preferences
+    });
+  } catch (error) {
+    console.error('Preferences update error:', error);
+    res.status(500).json({ error: 'Error updating preferences.' });
+  }
+});
+
 // Change password
 router.put('/change-password', requireAuth, async (req, res) => {
   try {
@@ -1,17 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const User = require('../models/User');
-const { requireAuth, checkMessageLimit, updateUsage } = require('../middleware/auth');
+const Assistant = require('../models/Assistant');
+const { requireAuth, checkMessageLimit } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validate, schemas } = require('../middleware/validation');
-const { logInfo, logWarn } = require('../utils/logger');
-const OpenAI = require('openai');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { wantsEventStream, openEventStream, sendEvent } = require('../utils/sse');
+const { logInfo } = require('../utils/logger');
+const { DEFAULT_MODEL, listModels, getModel } = require('../config/models');
+const { getPlanLimits } = require('../config/plans');
+const chatCompletion = require('../services/chatCompletion');
+const { reindexMessage, removeEmbeddings, removeMessageEmbeddings } = require('../services/semanticSearch');
 
 // Get user conversations with pagination and filtering
 router.get('/conversations', requireAuth, asyncHandler(async (req, res) => {
@@ -42,12 +43,8 @@ router.get('/conversations', requireAuth, asyncHandler(async (req, res) => {
     
     // Get total count for search results
     const searchQuery = {
-      userId: req.user.id,
-      ...filterOption,
-      $or: [
-        { title: { $regex: search, $options: 'i' } },
-        { 'messages.content': { $regex: search, $options: 'i' } }
-      ]
+      ...await Conversation.getSearchQuery(req.user.id, search),
+      ...filterOption
     };
     total = await Conversation.countDocuments(searchQuery);
   } else {
@@ -93,6 +90,9 @@ router.get('/analytics', requireAuth, asyncHandler(async (req, res) => {
     totalConversations: 0,
     totalMessages: 0,
     totalTokens: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalCost: 0,
     averageMessagesPerConversation: 0,
     averageTokensPerConversation: 0
   };
@@ -107,7 +107,7 @@ router.get('/analytics', requireAuth, asyncHandler(async (req, res) => {
   const modelStats = await Conversation.aggregate([
     {
       $match: {
-        userId: req.user.id,
+        userId: req.user._id,
         createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
       }
     },
@@ -115,7 +115,10 @@ router.get('/analytics', requireAuth, asyncHandler(async (req, res) => {
       $group: {
         _id: '$model',
         count: { $sum: 1 },
-        totalTokens: { $sum: '$totalTokens' }
+        totalTokens: { $sum: '$totalTokens' },
+        promptTokens: { $sum: '$totalPromptTokens' },
+        completionTokens: { $sum: '$totalCompletionTokens' },
+        totalCost: { $sum: '$totalCost' }
       }
     }
   ]);
@@ -132,20 +135,61 @@ router.get('/analytics', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// Error message when settings go beyond what the user's plan allows
+const checkPlanLimits = (settings, user) => {
+  const limits = getPlanLimits(user.subscription.plan);
+  if (settings?.maxTokens > limits.maxOutputTokens) {
+    return `Your plan allows replies of up to ${limits.maxOutputTokens} tokens`;
+  }
+  return null;
+};
+
 // Create new conversation
 router.post('/conversations', requireAuth, validate(schemas.createConversation), asyncHandler(async (req, res) => {
-  const { title, model } = req.body;
+  const { title, model, systemPrompt, settings, assistantId } = req.body;
+
+  const planError = checkPlanLimits(settings, req.user);
+  if (planError) {
+    return res.status(403).json({
+      success: false,
+      error: planError
+    });
+  }
+
+  // The assistant provides the model and settings unless given explicitly
+  let assistant = null;
+  if (assistantId) {
+    assistant = await Assistant.findById(assistantId);
+
+    if (!assistant || !assistant.isAccessibleBy(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assistant not found'
+      });
+    }
+  }
 
   console.log('🔍 Creating conversation with:', { title, model, userId: req.user.id });
 
   const conversation = new Conversation({
     userId: req.user.id,
-    title: title || 'New Conversation',
-    model: model || 'gpt-4o-mini'
+    title: title || assistant?.name || 'New Conversation',
+    titleSource: title ? 'user' : 'default',
+    model: model || assistant?.model || DEFAULT_MODEL,
+    assistantId: assistant?._id,
+    systemPrompt,
+    settings: {
+      ...assistant?.getConversationSettings(),
+      ...settings
+    }
   });
 
   await conversation.save();
 
+  if (assistant) {
+    await Assistant.updateOne({ _id: assistant._id }, { $inc: { conversationCount: 1 } });
+  }
+
   console.log('✅ Conversation saved:', {
     _id: conversation._id,
     title: conversation.title,
@@ -164,8 +208,11 @@ router.post('/conversations', requireAuth, validate(schemas.createConversation),
       conversation: {
         _id: conversation._id,
         title: conversation.title,
+        titleSource: conversation.titleSource,
         model: conversation.model,
-        messages: conversation.messages || [],
+        systemPrompt: conversation.systemPrompt,
+        assistant: assistant ? assistant.toPublicJSON() : null,
+        messages: [],
         totalTokens: conversation.totalTokens || 0,
         totalMessages: conversation.totalMessages || 0,
         metadata: conversation.metadata || {},
@@ -182,7 +229,12 @@ router.post('/conversations', requireAuth, validate(schemas.createConversation),
 }));
 
 // Get specific conversation with messages
+// Messages of the active path are paginated from the latest: `?before=<messageId>`
+// loads the `limit` messages before one the client already has
 router.get('/conversations/:id', requireAuth, asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const before = req.query.before;
+
   const conversation = await Conversation.findOne({
     _id: req.params.id,
     userId: req.user.id
@@ -195,6 +247,15 @@ router.get('/conversations/:id', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
+  const page = await conversation.getMessagePage({ limit, before });
+
+  if (!page) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
   // Update last activity
   conversation.metadata.lastActivity = new Date();
   await conversation.save();
@@ -205,8 +266,13 @@ router.get('/conversations/:id', requireAuth, asyncHandler(async (req, res) => {
       conversation: {
         _id: conversation._id,
         title: conversation.title,
+        titleSource: conversation.titleSource,
         model: conversation.model,
-        messages: conversation.messages,
+        systemPrompt: conversation.systemPrompt,
+        assistantId: conversation.assistantId,
+        summary: conversation.summary?.content ? conversation.summary : null,
+        messages: page.messages,
+        currentNodeId: conversation.currentNodeId,
         totalTokens: conversation.totalTokens,
         totalMessages: conversation.totalMessages,
         metadata: conversation.metadata,
@@ -214,12 +280,68 @@ router.get('/conversations/:id', requireAuth, asyncHandler(async (req, res) => {
         createdAt: conversation.createdAt,
         updatedAt: conversation.updatedAt,
         stats: conversation.getStats()
+      },
+      pagination: {
+        limit,
+        total: page.total,
+        hasMore: page.hasMore,
+        before: page.messages[0]?._id || null
       }
     }
   });
 }));
 
+// Stream events sent over Server-Sent Events, by their Socket.IO name
+const SSE_EVENTS = {
+  'message-sent': 'message',
+  'ai-stream-chunk': 'chunk',
+  'ai-stream-usage': 'usage',
+  'ai-tool-call': 'tool_call',
+  'ai-stream-complete': 'complete',
+  'ai-stream-cancelled': 'cancelled',
+  'ai-stream-error': 'error'
+};
+
+// Send a message and stream the reply as Server-Sent Events
+// Payloads are the same as the matching `ai-stream-*` socket events
+async function streamMessage(req, res, conversation) {
+  const { message, model, attachments } = req.body;
+
+  openEventStream(res);
+
+  // Closing the connection stops the generation, keeping the partial reply
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      chatCompletion.cancelGeneration(conversation._id, req.user._id);
+    }
+  });
+
+  try {
+    await chatCompletion.sendMessage({
+      io: req.app.get('io'),
+      conversation,
+      user: req.user,
+      content: message,
+      model,
+      attachments,
+      onEvent: (event, payload) => {
+        if (SSE_EVENTS[event]) {
+          sendEvent(res, SSE_EVENTS[event], payload);
+        }
+      }
+    });
+  } catch (error) {
+    sendEvent(res, 'error', {
+      conversationId: conversation._id,
+      error: error.isOperational ? error.message : 'Failed to generate response'
+    });
+  }
+
+  res.end();
+}
+
 // Send message to conversation (updated for real-time integration)
+// Responds with Server-Sent Events when the client accepts `text/event-stream`
 router.post('/conversations/:id/messages', requireAuth, checkMessageLimit, validate(schemas.sendMessage), asyncHandler(async (req, res) => {
   const { message, model, attachments } = req.body;
   
@@ -235,173 +357,602 @@ router.post('/conversations/:id/messages', requireAuth, checkMessageLimit, valid
     });
   }
 
-  const startTime = Date.now();
+  if (wantsEventStream(req)) {
+    return streamMessage(req, res, conversation);
+  }
 
-  try {
-    // Add user message
-    await conversation.addMessage({
-      role: 'user',
-      content: message,
-      model: model || conversation.model,
-      attachments: attachments || []
-    });
+  const result = await chatCompletion.sendMessage({
+    io: req.app.get('io'),
+    conversation,
+    user: req.user,
+    content: message,
+    model,
+    attachments
+  });
 
-    // Get Socket.IO instance
-    const io = req.app.get('io');
-    const activeUsers = req.app.get('activeUsers');
+  if (!result.success) {
+    return res.status(result.error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: result.error.message
+    });
+  }
 
-    // Emit real-time message to conversation room
-    io.to(`conversation:${conversation._id}`).emit('message-sent', {
-      conversationId: conversation._id,
-      message: {
-        role: 'user',
-        content: message,
-        timestamp: new Date(),
-        userId: req.user.id,
-        username: req.user.username
+  res.json({
+    success: true,
+    data: {
+      message: result.message,
+      cancelled: result.cancelled,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        totalTokens: conversation.totalTokens,
+        totalMessages: conversation.totalMessages
       }
+    }
+  });
+}));
+
+// Regenerate an assistant reply (the latest one unless messageId is given)
+router.post('/conversations/:id/regenerate', requireAuth, checkMessageLimit, validate(schemas.regenerateMessage), asyncHandler(async (req, res) => {
+  const { messageId, model } = req.body;
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
     });
+  }
 
-    // Prepare messages for OpenAI
-    const messages = conversation.messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+  const result = await chatCompletion.regenerate({
+    io: req.app.get('io'),
+    conversation,
+    user: req.user,
+    messageId,
+    model
+  });
 
-    // Emit AI typing indicator
-    io.to(`conversation:${conversation._id}`).emit('ai-typing-start', {
-      conversationId: conversation._id,
-      message: 'AI is thinking...'
-    });
-
-    // Call OpenAI API with streaming
-    const OpenAI = require('openai');
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    const completion = await openai.chat.completions.create({
-      model: model || conversation.model,
-      messages: messages,
-      max_tokens: 4000,
-      temperature: 0.7,
-      stream: true
-    });
-
-    let fullResponse = '';
-    let tokenCount = 0;
-
-    // Stream the response
-    for await (const chunk of completion) {
-      const content = chunk.choices[0]?.delta?.content;
-      if (content) {
-        fullResponse += content;
-        tokenCount++;
-        
-        // Emit streaming chunk
-        io.to(`conversation:${conversation._id}`).emit('ai-stream-chunk', {
-          conversationId: conversation._id,
-          chunk: content,
-          isComplete: false
-        });
+  if (!result.success) {
+    return res.status(result.error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: result.error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: result.message,
+      cancelled: result.cancelled,
+      variants: result.variants,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        totalTokens: conversation.totalTokens,
+        totalMessages: conversation.totalMessages
       }
     }
+  });
+}));
 
-    // Add assistant message
-    await conversation.addMessage({
-      role: 'assistant',
-      content: fullResponse,
-      model: model || conversation.model,
-      tokens: tokenCount,
-      metadata: {
-        processingTime: Date.now() - startTime
-      }
+// Send a message to several models at once and compare their replies
+// Replies stream over the socket as `ai-stream-*` events tagged with the
+// comparison ID and candidate number
+router.post('/conversations/:id/compare', requireAuth, checkMessageLimit, validate(schemas.compareModels), asyncHandler(async (req, res) => {
+  const { message, models, attachments } = req.body;
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
     });
+  }
 
-    // Update user usage
-    await updateUsage(req, res, () => {});
+  const result = await chatCompletion.compareModels({
+    io: req.app.get('io'),
+    conversation,
+    user: req.user,
+    content: message,
+    models,
+    attachments
+  });
 
-    // Emit completion
-    io.to(`conversation:${conversation._id}`).emit('ai-stream-complete', {
-      conversationId: conversation._id,
-      message: {
-        role: 'assistant',
-        content: fullResponse,
-        timestamp: new Date(),
-        tokens: tokenCount
+  res.json({
+    success: true,
+    data: {
+      comparisonId: result.comparisonId,
+      candidates: result.candidates,
+      currentNodeId: conversation.currentNodeId,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        totalTokens: conversation.totalTokens,
+        totalMessages: conversation.totalMessages
       }
+    }
+  });
+}));
+
+// Pick the winning reply of a comparison; it becomes the active reply
+router.put('/conversations/:id/comparisons/:comparisonId/winner', requireAuth, validate(schemas.pickComparisonWinner), asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
     });
+  }
 
-    // Stop AI typing indicator
-    io.to(`conversation:${conversation._id}`).emit('ai-typing-stop', {
-      conversationId: conversation._id
+  const result = await chatCompletion.pickComparisonWinner({
+    conversation,
+    comparisonId: req.params.comparisonId,
+    messageId: req.body.messageId
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      currentNodeId: conversation.currentNodeId,
+      messages: conversation.getActivePathWithVariants()
+    }
+  });
+}));
+
+// Select which variant of a message is active for future context
+router.put('/conversations/:id/messages/:messageId/select', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
     });
+  }
 
-    logInfo('Message sent successfully', {
-      userId: req.user.id,
-      conversationId: conversation._id,
-      model: model || conversation.model,
-      tokens: tokenCount,
-      processingTime: Date.now() - startTime
-    });
-
-    res.json({
-      success: true,
-      data: {
-        message: {
-          role: 'assistant',
-          content: fullResponse,
-          timestamp: new Date(),
-          tokens: tokenCount,
-          model: model || conversation.model,
-          metadata: {
-            processingTime: Date.now() - startTime
-          }
-        },
-        conversation: {
-          id: conversation._id,
-          title: conversation.title,
-          totalTokens: conversation.totalTokens,
-          totalMessages: conversation.totalMessages
-        }
+  await conversation.loadMessages();
+  const saved = await conversation.selectMessage(req.params.messageId);
+
+  if (!saved) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      currentNodeId: conversation.currentNodeId,
+      messages: conversation.getActivePathWithVariants()
+    }
+  });
+}));
+
+// Rate an assistant reply, replacing any earlier rating
+router.put('/conversations/:id/messages/:messageId/feedback', requireAuth, validate(schemas.messageFeedback), asyncHandler(async (req, res) => {
+  const { rating, category, comment } = req.body;
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  }).select('_id');
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  const message = await Message.findOneAndUpdate(
+    { _id: req.params.messageId, conversationId: conversation._id, role: 'assistant' },
+    { $set: { feedback: { rating, category, comment: comment || undefined, ratedAt: new Date() } } },
+    { new: true, runValidators: true }
+  ).select('feedback');
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
+  logInfo('Message rated', {
+    userId: req.user._id,
+    conversationId: conversation._id,
+    messageId: message._id,
+    rating,
+    category
+  });
+
+  res.json({
+    success: true,
+    data: {
+      messageId: message._id,
+      feedback: message.feedback
+    }
+  });
+}));
+
+// Remove the rating of an assistant reply
+router.delete('/conversations/:id/messages/:messageId/feedback', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  }).select('_id');
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  const message = await Message.findOneAndUpdate(
+    { _id: req.params.messageId, conversationId: conversation._id, role: 'assistant' },
+    { $unset: { feedback: '' } }
+  ).select('_id');
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Feedback removed successfully'
+  });
+}));
+
+// Stop the reply being generated for a conversation
+// The partial reply is saved and flagged as truncated
+router.post('/conversations/:id/cancel', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  if (!chatCompletion.cancelGeneration(conversation._id, req.user._id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'No generation in progress'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Generation stopped successfully'
+  });
+}));
+
+// Edit a user message, branching the conversation from that point
+// The original message and its replies stay in the tree on their own branch
+router.post('/conversations/:id/messages/:messageId/edit', requireAuth, checkMessageLimit, validate(schemas.sendMessage), asyncHandler(async (req, res) => {
+  const { message, model } = req.body;
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  const result = await chatCompletion.editMessage({
+    io: req.app.get('io'),
+    conversation,
+    user: req.user,
+    messageId: req.params.messageId,
+    content: message,
+    model
+  });
+
+  if (!result.success) {
+    return res.status(result.error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: result.error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: result.message,
+      cancelled: result.cancelled,
+      currentNodeId: conversation.currentNodeId,
+      branches: conversation.getBranches(),
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        totalTokens: conversation.totalTokens,
+        totalMessages: conversation.totalMessages
       }
+    }
+  });
+}));
+
+// Update a message of one of the user's conversations
+// Returns null when the conversation or the message does not exist
+const updateOwnMessage = async (req, filter, update) => {
+  const conversation = await Conversation.exists({ _id: req.params.id, userId: req.user.id });
+  if (!conversation) return null;
+
+  return Message.findOneAndUpdate(
+    { _id: req.params.messageId, conversationId: conversation._id, ...filter },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+// Change the text of a message in place, without branching or generating a reply
+router.put('/conversations/:id/messages/:messageId', requireAuth, validate(schemas.updateMessage), asyncHandler(async (req, res) => {
+  const message = await updateOwnMessage(
+    req,
+    { role: { $in: ['user', 'assistant'] } },
+    { $set: { content: req.body.content, editedAt: new Date() } }
+  );
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
     });
+  }
 
-  } catch (error) {
-    logWarn('OpenAI API error', {
-      userId: req.user.id,
-      conversationId: conversation._id,
-      error: error.message
+  // Embedded again in the background for semantic search
+  reindexMessage(message);
+
+  res.json({
+    success: true,
+    data: {
+      message: chatCompletion.formatMessage(message)
+    }
+  });
+}));
+
+// Delete a message; its replies move up to its parent unless `?cascade=true`
+// deletes them too. The conversation totals are recomputed from the messages left
+router.delete('/conversations/:id/messages/:messageId', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
     });
+  }
 
-    // Emit error via Socket.IO
-    const io = req.app.get('io');
-    io.to(`conversation:${conversation._id}`).emit('ai-stream-error', {
-      conversationId: conversation._id,
-      error: 'Failed to generate response'
+  // The reply would be stored below a deleted message
+  if (chatCompletion.isGenerating(conversation._id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Wait for the reply to finish before deleting messages'
     });
+  }
+
+  await conversation.loadMessages();
+  const deletedIds = await conversation.deleteMessage(req.params.messageId, {
+    cascade: req.query.cascade === 'true'
+  });
 
-    // Stop AI typing indicator
-    io.to(`conversation:${conversation._id}`).emit('ai-typing-stop', {
-      conversationId: conversation._id
+  if (!deletedIds) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
     });
+  }
 
-    // Add error message to conversation
-    await conversation.addMessage({
-      role: 'assistant',
-      content: 'Sorry, I encountered an error while processing your request. Please try again.',
-      metadata: {
-        error: error.message,
-        processingTime: Date.now() - startTime
+  await removeMessageEmbeddings(deletedIds);
+
+  logInfo('Message deleted', {
+    userId: req.user._id,
+    conversationId: conversation._id,
+    messageId: req.params.messageId,
+    deletedCount: deletedIds.length
+  });
+
+  res.json({
+    success: true,
+    data: {
+      deletedIds,
+      currentNodeId: conversation.currentNodeId || null,
+      conversation: {
+        id: conversation._id,
+        totalTokens: conversation.totalTokens,
+        totalCost: conversation.totalCost,
+        totalMessages: conversation.totalMessages,
+        averageResponseTime: conversation.metadata.averageResponseTime
       }
+    }
+  });
+}));
+
+// Pin a message to its conversation
+router.put('/conversations/:id/messages/:messageId/pin', requireAuth, asyncHandler(async (req, res) => {
+  const message = await updateOwnMessage(req, {}, { $set: { pinnedAt: new Date() } });
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
     });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      messageId: message._id,
+      pinnedAt: message.pinnedAt
+    }
+  });
+}));
+
+router.delete('/conversations/:id/messages/:messageId/pin', requireAuth, asyncHandler(async (req, res) => {
+  const message = await updateOwnMessage(req, {}, { $unset: { pinnedAt: '' } });
 
-    res.status(500).json({
+  if (!message) {
+    return res.status(404).json({
       success: false,
-      error: 'Failed to generate response',
-      details: error.message
+      error: 'Message not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Message unpinned successfully'
+  });
+}));
+
+// Pinned messages of a conversation, most recently pinned first
+router.get('/conversations/:id/pins', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.exists({ _id: req.params.id, userId: req.user.id });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  const messages = await Message.find({ conversationId: conversation._id, pinnedAt: { $exists: true } })
+    .sort({ pinnedAt: -1 })
+    .select('role content model timestamp parentMessageId threadId pinnedAt')
+    .lean();
+
+  res.json({
+    success: true,
+    data: messages
+  });
+}));
+
+// Bookmark a message; bookmarks are listed across conversations
+router.put('/conversations/:id/messages/:messageId/bookmark', requireAuth, asyncHandler(async (req, res) => {
+  const message = await updateOwnMessage(req, {}, { $set: { bookmarkedAt: new Date() } });
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
     });
   }
+
+  res.json({
+    success: true,
+    data: {
+      messageId: message._id,
+      bookmarkedAt: message.bookmarkedAt
+    }
+  });
+}));
+
+router.delete('/conversations/:id/messages/:messageId/bookmark', requireAuth, asyncHandler(async (req, res) => {
+  const message = await updateOwnMessage(req, {}, { $unset: { bookmarkedAt: '' } });
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Bookmark removed successfully'
+  });
+}));
+
+// List the branches of a conversation
+router.get('/conversations/:id/branches', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  await conversation.loadMessages();
+
+  res.json({
+    success: true,
+    data: {
+      currentNodeId: conversation.currentNodeId,
+      branches: conversation.getBranches()
+    }
+  });
+}));
+
+// Switch the active path to another branch
+router.put('/conversations/:id/branches/:threadId', requireAuth, asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  await conversation.loadMessages();
+  const saved = await conversation.switchBranch(req.params.threadId);
+
+  if (!saved) {
+    return res.status(404).json({
+      success: false,
+      error: 'Branch not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      currentNodeId: conversation.currentNodeId,
+      messages: conversation.getActivePathWithVariants()
+    }
+  });
 }));
 
 // Update conversation title
@@ -413,7 +964,7 @@ router.put('/conversations/:id/title', requireAuth, validate(schemas.updateConve
       _id: req.params.id,
       userId: req.user.id
     },
-    { title: title },
+    { title: title, titleSource: 'user' },
     { new: true }
   );
 
@@ -435,6 +986,82 @@ router.put('/conversations/:id/title', requireAuth, validate(schemas.updateConve
   });
 }));
 
+// Update conversation system prompt
+// An empty prompt falls back to the user's custom instructions
+router.put('/conversations/:id/system-prompt', requireAuth, validate(schemas.updateSystemPrompt), asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  conversation.systemPrompt = req.body.systemPrompt;
+  await conversation.save();
+
+  res.json({
+    success: true,
+    data: {
+      conversation: {
+        id: conversation._id,
+        systemPrompt: conversation.systemPrompt
+      }
+    }
+  });
+}));
+
+// Update conversation generation settings
+router.put('/conversations/:id/settings', requireAuth, validate(schemas.updateConversationSettings), asyncHandler(async (req, res) => {
+  const planError = checkPlanLimits(req.body, req.user);
+  if (planError) {
+    return res.status(403).json({
+      success: false,
+      error: planError
+    });
+  }
+
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user.id
+  });
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Conversation not found'
+    });
+  }
+
+  Object.entries(req.body).forEach(([key, value]) => {
+    conversation.set(`settings.${key}`, value);
+  });
+  await conversation.save();
+
+  // Longest reply the conversation can get, given its model and the user's plan
+  const maxOutputTokens = Math.min(
+    getPlanLimits(req.user.subscription.plan).maxOutputTokens,
+    getModel(conversation.model)?.maxOutputTokens || Infinity
+  );
+
+  res.json({
+    success: true,
+    data: {
+      conversation: {
+        id: conversation._id,
+        settings: conversation.settings
+      },
+      limits: {
+        maxOutputTokens
+      }
+    }
+  });
+}));
+
 // Archive conversation
 router.post('/conversations/:id/archive', requireAuth, asyncHandler(async (req, res) => {
   const conversation = await Conversation.findOne({
@@ -494,6 +1121,7 @@ router.post('/conversations/:id/clear', requireAuth, asyncHandler(async (req, re
   }
 
   await conversation.clearMessages();
+  await removeEmbeddings(req.user._id, [conversation._id]);
 
   res.json({
     success: true,
@@ -515,7 +1143,10 @@ router.get('/conversations/:id/export', requireAuth, asyncHandler(async (req, re
     });
   }
 
-  const exportData = conversation.export();
+  // `?view=tree` exports every branch instead of the active path
+  const view = req.query.view === 'tree' ? 'tree' : 'active';
+  await conversation.loadMessages();
+  const exportData = conversation.export({ view });
 
   res.json({
     success: true,
@@ -537,6 +1168,9 @@ router.delete('/conversations/:id', requireAuth, asyncHandler(async (req, res) =
     });
   }
 
+  await Message.deleteMany({ conversationId: conversation._id });
+  await removeEmbeddings(req.user._id, [conversation._id]);
+
   logInfo('Conversation deleted', {
     userId: req.user.id,
     conversationId: conversation._id,
@@ -585,6 +1219,8 @@ router.post('/conversations/bulk', requireAuth, asyncHandler(async (req, res) =>
         _id: { $in: conversationIds },
         userId: req.user.id
       });
+      await Message.deleteMany({ conversationId: { $in: conversationIds }, userId: req.user.id });
+      await removeEmbeddings(req.user._id, conversationIds);
       message = 'Conversations deleted successfully';
       break;
 
@@ -604,40 +1240,52 @@ router.post('/conversations/bulk', requireAuth, asyncHandler(async (req, res) =>
   });
 }));
 
-// Get available AI models
-router.get('/models', requireAuth, asyncHandler(async (req, res) => {
-  const models = [
-    {
-      id: 'gpt-4o-mini',
-      name: 'GPT-4o Mini',
-      description: 'Fast and efficient model for most tasks',
-      maxTokens: 16384,
-      pricing: {
-        input: 0.00015,
-        output: 0.0006
-      }
-    },
-    {
-      id: 'gpt-4o',
-      name: 'GPT-4o',
-      description: 'Most capable model for complex tasks',
-      maxTokens: 128000,
-      pricing: {
-        input: 0.005,
-        output: 0.015
-      }
-    },
-    {
-      id: 'gpt-3.5-turbo',
-      name: 'GPT-3.5 Turbo',
-      description: 'Good balance of speed and capability',
-      maxTokens: 16384,
-      pricing: {
-        input: 0.0005,
-        output: 0.0015
+// List the user's bookmarked messages across conversations, most recent first
+router.get('/bookmarks', requireAuth, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const query = { userId: req.user.id, bookmarkedAt: { $exists: true } };
+
+  const [messages, total] = await Promise.all([
+    Message.find(query)
+      .sort({ bookmarkedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('conversationId role content model timestamp bookmarkedAt')
+      .lean(),
+    Message.countDocuments(query)
+  ]);
+
+  const conversations = await Conversation.find({
+    _id: { $in: messages.map(msg => msg.conversationId) },
+    userId: req.user.id
+  })
+    .select('title')
+    .lean();
+  const titles = new Map(conversations.map(conversation => [conversation._id.toString(), conversation.title]));
+
+  res.json({
+    success: true,
+    data: {
+      bookmarks: messages.map(({ conversationId, ...message }) => ({
+        ...message,
+        conversation: { _id: conversationId, title: titles.get(conversationId.toString()) || null }
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
       }
     }
-  ];
+  });
+}));
+
+// Get available AI models
+router.get('/models', requireAuth, asyncHandler(async (req, res) => {
+  const models = listModels();
 
   res.json({
     success: true,
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { logInfo } = require('../utils/logger');
+const { toTND } = require('../utils/cost');
+const { PLAN_PRICES } = require('../config/plans');
+const { searchMessages, indexHistory } = require('../services/semanticSearch');
 
 // Get chat history with advanced filtering
 router.get('/', requireAuth, asyncHandler(async (req, res) => {
@@ -46,10 +50,8 @@ router.get('/', requireAuth, asyncHandler(async (req, res) => {
 
   // Search functionality
   if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { 'messages.content': { $regex: search, $options: 'i' } }
-    ];
+    const { $or } = await Conversation.getSearchQuery(req.user.id, search);
+    query.$or = $or;
   }
 
   // Sort options
@@ -116,21 +118,41 @@ router.get('/search', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Use MongoDB text search
-  const conversations = await Conversation.find({
+  // Use MongoDB text search on titles and messages
+  // A conversation scores the sum of its title's and its messages' scores
+  const [titleMatches, messageMatches] = await Promise.all([
+    Conversation.find({ userId: req.user.id, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .select('_id')
+      .lean(),
+    Message.aggregate([
+      { $match: { userId: req.user._id, $text: { $search: query } } },
+      { $group: { _id: '$conversationId', score: { $sum: { $meta: 'textScore' } } } }
+    ])
+  ]);
+
+  const scores = new Map();
+  [...titleMatches, ...messageMatches].forEach(match => {
+    const key = match._id.toString();
+    scores.set(key, (scores.get(key) || 0) + match.score);
+  });
+
+  const ranked = [...scores.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice((page - 1) * limit, page * limit);
+
+  const found = await Conversation.find({
     userId: req.user.id,
-    $text: { $search: query }
+    _id: { $in: ranked.map(([id]) => id) }
   })
-  .sort({ score: { $meta: 'textScore' } })
-  .skip((page - 1) * limit)
-  .limit(limit)
-  .select('title model totalTokens totalMessages metadata.lastActivity createdAt score')
+  .select('title model totalTokens totalMessages metadata.lastActivity createdAt')
   .lean();
+  const foundById = new Map(found.map(conv => [conv._id.toString(), conv]));
 
-  const total = await Conversation.countDocuments({
-    userId: req.user.id,
-    $text: { $search: query }
-  });
+  const conversations = ranked
+    .filter(([id]) => foundById.has(id))
+    .map(([id, score]) => ({ ...foundById.get(id), score }));
+
+  const total = scores.size;
 
   res.json({
     success: true,
@@ -147,6 +169,54 @@ router.get('/search', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// Search messages by meaning
+// `mode=hybrid` combines the vector score with a keyword score
+router.get('/search/messages', requireAuth, asyncHandler(async (req, res) => {
+  const { q: query, mode = 'semantic' } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  if (!query || query.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query is required'
+    });
+  }
+
+  if (!['semantic', 'hybrid'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Mode must be semantic or hybrid'
+    });
+  }
+
+  const results = await searchMessages({
+    userId: req.user._id,
+    query: query.trim(),
+    mode,
+    limit
+  });
+
+  res.json({
+    success: true,
+    data: {
+      results,
+      query,
+      mode
+    }
+  });
+}));
+
+// Index messages written before semantic search was enabled
+// Call again while `complete` is false
+router.post('/search/index', requireAuth, asyncHandler(async (req, res) => {
+  const result = await indexHistory(req.user._id);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
 // Get conversation statistics and analytics
 router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   const { days = 30 } = req.query;
@@ -168,13 +238,16 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   // Model usage statistics
   const modelStats = await Conversation.aggregate([
     {
-      $match: { userId: req.user.id }
+      $match: { userId: req.user._id }
     },
     {
       $group: {
         _id: '$model',
         count: { $sum: 1 },
         totalTokens: { $sum: '$totalTokens' },
+        promptTokens: { $sum: '$totalPromptTokens' },
+        completionTokens: { $sum: '$totalCompletionTokens' },
+        totalCost: { $sum: '$totalCost' },
         totalMessages: { $sum: '$totalMessages' }
       }
     }
@@ -184,7 +257,7 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   const monthlyActivity = await Conversation.aggregate([
     {
       $match: {
-        userId: req.user.id,
+        userId: req.user._id,
         createdAt: { $gte: startDate }
       }
     },
@@ -196,7 +269,9 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
         },
         conversations: { $sum: 1 },
         messages: { $sum: '$totalMessages' },
-        tokens: { $sum: '$totalTokens' }
+        tokens: { $sum: '$totalTokens' },
+        promptTokens: { $sum: '$totalPromptTokens' },
+        completionTokens: { $sum: '$totalCompletionTokens' }
       }
     },
     {
@@ -208,7 +283,7 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   const dailyActivity = await Conversation.aggregate([
     {
       $match: {
-        userId: req.user.id,
+        userId: req.user._id,
         'metadata.lastActivity': { $gte: startDate }
       }
     },
@@ -231,7 +306,7 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   // Average conversation metrics
   const avgMetrics = await Conversation.aggregate([
     {
-      $match: { userId: req.user.id }
+      $match: { userId: req.user._id }
     },
     {
       $group: {
@@ -265,6 +340,43 @@ router.get('/stats', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+// Get spend report by day and model
+router.get('/stats/cost', requireAuth, asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const report = await Message.getCostReport({
+    userId: req.user._id,
+    startDate
+  });
+
+  const plan = req.user.subscription.plan;
+
+  res.json({
+    success: true,
+    data: {
+      period: `${days} days`,
+      currency: 'USD',
+      total: {
+        ...report.total,
+        costTND: toTND(report.total.cost)
+      },
+      byDay: report.byDay,
+      byModel: report.byModel,
+      thisMonth: {
+        cost: req.user.usage.costThisMonth,
+        costTND: toTND(req.user.usage.costThisMonth),
+        plan,
+        planPrice: PLAN_PRICES[plan]
+      },
+      allTime: {
+        cost: req.user.usage.totalCost,
+        costTND: toTND(req.user.usage.totalCost)
+      }
+    }
+  });
+}));
+
 // Get conversation tags
 router.get('/tags', requireAuth, asyncHandler(async (req, res) => {
   const tags = await Conversation.aggregate([
@@ -417,9 +529,17 @@ router.get('/export', requireAuth, asyncHandler(async (req, res) => {
 
   const conversations = await Conversation.find(query)
     .sort({ createdAt: -1 })
-    .select('title model messages totalTokens totalMessages metadata createdAt')
+    .select('title model totalTokens totalMessages metadata createdAt')
+    .lean();
+
+  const messages = await Message.find({ conversationId: { $in: conversations.map(conv => conv._id) } })
+    .sort({ _id: 1 })
+    .select('conversationId role content timestamp model')
     .lean();
 
+  const messagesByConversation = new Map(conversations.map(conv => [conv._id.toString(), []]));
+  messages.forEach(msg => messagesByConversation.get(msg.conversationId.toString()).push(msg));
+
   const exportData = {
     exportDate: new Date().toISOString(),
     userId: req.user.id,
@@ -431,7 +551,7 @@ router.get('/export', requireAuth, asyncHandler(async (req, res) => {
       totalTokens: conv.totalTokens,
       totalMessages: conv.totalMessages,
       createdAt: conv.createdAt,
-      messages: conv.messages.map(msg => ({
+      messages: messagesByConversation.get(conv._id.toString()).map(msg => ({
         role: msg.role,
         content: msg.content,
         timestamp: msg.timestamp,
@@ -442,16 +562,19 @@ router.get('/export', requireAuth, asyncHandler(async (req, res) => {
 
   if (format === 'csv') {
     // Convert to CSV format
-    const csvData = conversations.map(conv => ({
-      id: conv._id,
-      title: conv.title,
-      model: conv.model,
-      totalTokens: conv.totalTokens,
-      totalMessages: conv.totalMessages,
-      createdAt: conv.createdAt,
-      firstMessage: conv.messages[0]?.content || '',
-      lastMessage: conv.messages[conv.messages.length - 1]?.content || ''
-    }));
+    const csvData = conversations.map(conv => {
+      const convMessages = messagesByConversation.get(conv._id.toString());
+      return {
+        id: conv._id,
+        title: conv.title,
+        model: conv.model,
+        totalTokens: conv.totalTokens,
+        totalMessages: conv.totalMessages,
+        createdAt: conv.createdAt,
+        firstMessage: convMessages[0]?.content || '',
+        lastMessage: convMessages[convMessages.length - 1]?.content || ''
+      };
+    });
 
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="chat-history-${new Date().toISOString().split('T')[0]}.csv"`);
@@ -477,27 +600,24 @@ router.get('/insights', requireAuth, asyncHandler(async (req, res) => {
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
   // Most common topics (simple keyword extraction)
-  const conversations = await Conversation.find({
+  const messages = await Message.find({
     userId: req.user.id,
-    createdAt: { $gte: startDate }
+    role: 'user',
+    timestamp: { $gte: startDate }
   })
-  .select('messages.content')
+  .select('content')
   .lean();
 
   // Extract common words from messages
   const wordCount = {};
-  conversations.forEach(conv => {
-    conv.messages.forEach(msg => {
-      if (msg.role === 'user') {
-        const words = msg.content.toLowerCase()
-          .replace(/[^\w\s]/g, '')
-          .split(/\s+/)
-          .filter(word => word.length > 3);
-        
-        words.forEach(word => {
-          wordCount[word] = (wordCount[word] || 0) + 1;
-        });
-      }
+  messages.forEach(msg => {
+    const words = msg.content.toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 3);
+
+    words.forEach(word => {
+      wordCount[word] = (wordCount[word] || 0) + 1;
     });
   });
 
@@ -550,13 +670,53 @@ router.get('/insights', requireAuth, asyncHandler(async (req, res) => {
     }
   ]);
 
+  // Most used prompt templates
+  const templateUsage = await Message.aggregate([
+    {
+      $match: {
+        userId: req.user._id,
+        'metadata.templateId': { $exists: true },
+        timestamp: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$metadata.templateId',
+        uses: { $sum: 1 },
+        lastUsed: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { uses: -1 } },
+    { $limit: 10 },
+    {
+      $lookup: {
+        from: 'prompttemplates',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'template'
+      }
+    },
+    { $unwind: { path: '$template', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        templateId: '$_id',
+        name: '$template.name',
+        scope: '$template.scope',
+        uses: 1,
+        lastUsed: 1
+      }
+    }
+  ]);
+
   res.json({
     success: true,
     data: {
       period: `${days} days`,
       commonTopics,
       patterns,
-      responseTimeTrends
+      responseTimeTrends,
+      templateUsage
     }
   });
 }));
@@ -2,6 +2,7 @@ const express = require('express');
 const axios = require('axios');
 const User = require('../models/User');
 const { requireAuth } = require('../middleware/auth');
+const { SUBSCRIPTION_PLANS } = require('../config/plans');
 
 const router = express.Router();
 
@@ -12,26 +13,6 @@ const KONNECT_CONFIG = {
   apiUrl: process.env.KONNECT_API_URL
 };
 
-// Subscription plans configuration (in TND - Tunisian Dinar)
-const SUBSCRIPTION_PLANS = {
-  basic: {
-    name: 'Basic Plan',
-    price: 30.00, // 30 TND
-    currency: 'TND',
-    messagesPerMonth: 100,
-    features: ['100 messages per month', 'GPT-4o Mini', 'Basic support'],
-    description: 'Perfect for casual users'
-  },
-  premium: {
-    name: 'Premium Plan',
-    price: 60.00, // 60 TND
-    currency: 'TND',
-    messagesPerMonth: 1000,
-    features: ['1000 messages per month', 'All GPT models', 'Priority support', 'Advanced features'],
-    description: 'Best for power users and professionals'
-  }
-};
-
 // Get available subscription plans
 router.get('/plans', (req, res) => {
   res.json({
@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const PromptTemplate = require('../models/PromptTemplate');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { requireAuth, checkMessageLimit } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, schemas, messageContent } = require('../middleware/validation');
+const { logInfo } = require('../utils/logger');
+const chatCompletion = require('../services/chatCompletion');
+const { isSupportedModel } = require('../config/models');
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find a template the user may use
+const findVisibleTemplate = (id, userId) => PromptTemplate.findOne({
+  _id: id,
+  $or: [{ userId }, { scope: 'public' }]
+});
+
+// List templates: the user's own and public ones
+router.get('/', requireAuth, asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 20,
+    scope = 'all',
+    category = '',
+    search = '',
+    sort = 'recent'
+  } = req.query;
+
+  const query = {};
+
+  // Filter by scope
+  if (scope === 'personal') {
+    query.userId = req.user._id;
+  } else if (scope === 'public') {
+    query.scope = 'public';
+  } else {
+    query.$or = [{ userId: req.user._id }, { scope: 'public' }];
+  }
+
+  if (category) query.category = category;
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    query.$and = [{ $or: [{ name: pattern }, { description: pattern }, { tags: pattern }] }];
+  }
+
+  const sortOption = sort === 'popular'
+    ? { usageCount: -1 }
+    : { updatedAt: -1 };
+
+  const templates = await PromptTemplate.find(query)
+    .sort(sortOption)
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await PromptTemplate.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      templates: templates.map(template => ({
+        ...template,
+        isOwner: template.userId.toString() === req.user._id.toString()
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    }
+  });
+}));
+
+// Get template
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const template = await findVisibleTemplate(req.params.id, req.user._id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      template
+    }
+  });
+}));
+
+// Create template
+router.post('/', requireAuth, validate(schemas.createTemplate), asyncHandler(async (req, res) => {
+  const template = new PromptTemplate({
+    ...req.body,
+    userId: req.user._id
+  });
+
+  await template.save();
+
+  logInfo('Prompt template created', {
+    userId: req.user._id,
+    templateId: template._id,
+    scope: template.scope
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      template
+    }
+  });
+}));
+
+// Update template
+router.put('/:id', requireAuth, validate(schemas.updateTemplate), asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  template.set(req.body);
+  await template.save();
+
+  res.json({
+    success: true,
+    data: {
+      template
+    }
+  });
+}));
+
+// Delete template
+router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const template = await PromptTemplate.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Template deleted successfully'
+  });
+}));
+
+// Fill in a template and send it: to `conversationId` if given, otherwise to a
+// new conversation
+router.post('/:id/use', requireAuth, checkMessageLimit, validate(schemas.useTemplate), asyncHandler(async (req, res) => {
+  const { values, conversationId, title, model } = req.body;
+
+  const template = await findVisibleTemplate(req.params.id, req.user._id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+  }
+
+  const { content, missing } = template.render(values);
+
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: `Missing values for: ${missing.join(', ')}`
+    });
+  }
+
+  // The filled-in text is sent as a message, so it must fit the message limit
+  const { error: contentError } = messageContent().validate(content);
+  if (contentError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: contentError.message
+    });
+  }
+
+  let conversation;
+  if (conversationId) {
+    conversation = await Conversation.findOne({
+      _id: conversationId,
+      userId: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+  } else {
+    // Checked like a model given in the request, since the template's model or
+    // the user's default may no longer be available
+    const conversationModel = model || template.model || req.user.preferences?.defaultModel;
+    if (conversationModel && !isSupportedModel(conversationModel)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: 'Invalid model selected'
+      });
+    }
+
+    conversation = new Conversation({
+      userId: req.user._id,
+      title: title || template.name,
+      model: conversationModel
+    });
+    await conversation.save();
+  }
+
+  // A conversation created for this message is removed if the message is not sent
+  const discardNewConversation = async () => {
+    if (conversationId) return;
+    await Conversation.deleteOne({ _id: conversation._id });
+    await Message.deleteMany({ conversationId: conversation._id });
+  };
+
+  let result;
+  try {
+    result = await chatCompletion.sendMessage({
+      io: req.app.get('io'),
+      conversation,
+      user: req.user,
+      content,
+      model,
+      metadata: { templateId: template._id }
+    });
+  } catch (error) {
+    await discardNewConversation();
+    throw error;
+  }
+
+  if (!result.success) {
+    await discardNewConversation();
+    return res.status(result.error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to generate response',
+      details: result.error.message
+    });
+  }
+
+  await template.recordUse();
+
+  res.status(conversationId ? 200 : 201).json({
+    success: true,
+    data: {
+      message: result.message,
+      cancelled: result.cancelled,
+      conversation: {
+        id: conversation._id,
+        title: conversation.title,
+        totalTokens: conversation.totalTokens,
+        totalMessages: conversation.totalMessages
+      }
+    }
+  });
+}));
+
+module.exports = router;
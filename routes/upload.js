@@ -7,6 +7,9 @@ const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validate, schemas } = require('../middleware/validation');
 const { logInfo, logWarn } = require('../utils/logger');
+const { createFilename, isOwnedBy, getOwnerId, getUploadPath, getMimeType } = require('../utils/uploads');
+const { isDocument, addDocument, removeDocument } = require('../services/documents');
+const Document = require('../models/Document');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -23,10 +26,8 @@ const storage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `${file.fieldname}-${uniqueSuffix}${ext}`);
+    // Generate unique filename, prefixed with the owner's ID
+    cb(null, createFilename(req.user.id, file));
   }
 });
 
@@ -70,6 +71,9 @@ router.post('/single', requireAuth, upload.single('file'), asyncHandler(async (r
   }
 
   const file = req.file;
+
+  // Documents have their text extracted in the background for retrieval
+  const document = isDocument(file.mimetype) ? await addDocument(req.user._id, file) : null;
   
   // Create file record in database
   const fileRecord = {
@@ -101,7 +105,8 @@ router.post('/single', requireAuth, upload.single('file'), asyncHandler(async (r
         mimetype: fileRecord.mimetype,
         size: fileRecord.size,
         url: `/api/upload/files/${fileRecord.filename}`,
-        uploadedAt: fileRecord.uploadedAt
+        uploadedAt: fileRecord.uploadedAt,
+        document: document ? document.toPublicJSON() : null
       }
     }
   });
@@ -116,6 +121,13 @@ router.post('/multiple', requireAuth, upload.array('files', 5), asyncHandler(asy
     });
   }
 
+  const documents = new Map();
+  for (const file of req.files) {
+    if (isDocument(file.mimetype)) {
+      documents.set(file.filename, await addDocument(req.user._id, file));
+    }
+  }
+
   const files = req.files.map(file => ({
     userId: req.user.id,
     originalName: file.originalname,
@@ -143,37 +155,31 @@ router.post('/multiple', requireAuth, upload.array('files', 5), asyncHandler(asy
         mimetype: file.mimetype,
         size: file.size,
         url: `/api/upload/files/${file.filename}`,
-        uploadedAt: file.uploadedAt
+        uploadedAt: file.uploadedAt,
+        document: documents.has(file.filename) ? documents.get(file.filename).toPublicJSON() : null
       }))
     }
   });
 }));
 
-// Serve uploaded files
+// Serve one of the user's uploaded files
 router.get('/files/:filename', requireAuth, asyncHandler(async (req, res) => {
   const filename = req.params.filename;
-  const filePath = path.join(__dirname, '../uploads', filename);
+  const filePath = getUploadPath(filename);
+
+  if (!isOwnedBy(filename, req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found'
+    });
+  }
 
   try {
     // Check if file exists
     await fs.access(filePath);
     
     // Set appropriate headers
-    const ext = path.extname(filename).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-      '.pdf': 'application/pdf',
-      '.txt': 'text/plain',
-      '.doc': 'application/msword',
-      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    };
-
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', getMimeType(filename));
     res.setHeader('Content-Disposition', 'inline');
     
     // Stream the file
@@ -188,10 +194,17 @@ router.get('/files/:filename', requireAuth, asyncHandler(async (req, res) => {
   }
 }));
 
-// Delete uploaded file
+// Delete one of the user's uploaded files
 router.delete('/files/:filename', requireAuth, asyncHandler(async (req, res) => {
   const filename = req.params.filename;
-  const filePath = path.join(__dirname, '../uploads', filename);
+  const filePath = getUploadPath(filename);
+
+  if (!isOwnedBy(filename, req.user.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'File not found'
+    });
+  }
 
   try {
     // Check if file exists
@@ -199,6 +212,7 @@ router.delete('/files/:filename', requireAuth, asyncHandler(async (req, res) =>
     
     // Delete file
     await fs.unlink(filePath);
+    await removeDocument(filename, req.user.id);
 
     logInfo('File deleted', {
       userId: req.user.id,
@@ -240,7 +254,7 @@ router.get('/files', requireAuth, asyncHandler(async (req, res) => {
     const userFiles = [];
 
     for (const filename of files) {
-      if (filename.includes(req.user.id)) {
+      if (isOwnedBy(filename, req.user.id)) {
         const filePath = path.join(uploadDir, filename);
         const stats = await fs.stat(filePath);
         
@@ -271,6 +285,28 @@ router.get('/files', requireAuth, asyncHandler(async (req, res) => {
   }
 }));
 
+// Get the text extraction status of an uploaded document
+router.get('/documents/:fileId', requireAuth, asyncHandler(async (req, res) => {
+  const document = await Document.findOne({
+    fileId: req.params.fileId,
+    userId: req.user.id
+  });
+
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      error: 'Document not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      document: document.toPublicJSON()
+    }
+  });
+}));
+
 // Clean up old files (admin only)
 router.post('/cleanup', requireAuth, asyncHandler(async (req, res) => {
   // Check if user is admin (you might want to add admin role to user model)
@@ -294,6 +330,7 @@ router.post('/cleanup', requireAuth, asyncHandler(async (req, res) => {
     // Delete files older than 30 days
     if (now - stats.mtime.getTime() > thirtyDaysAgo) {
       await fs.unlink(filePath);
+      await removeDocument(filename, getOwnerId(filename));
       deletedCount++;
     }
   }
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+// Move messages stored inside conversation documents to the messages collection,
+// and give uploads stored before file names carried their owner's ID that prefix.
+// Safe to run more than once: messages keep their IDs and are upserted, and a
+// conversation's embedded messages are only removed once they are all copied.
+// Uploads already named after their owner are left alone.
+
+require('dotenv').config({ path: './config.env' });
+
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { UPLOAD_DIR, getUploadPath } = require('../utils/uploads');
+
+// Branch of messages that were not forked from another branch
+const MAIN_THREAD = 'main';
+
+// Conversations stored before the message tree have unlinked messages:
+// chain them into a single path ending at the last one
+const linkMessages = (conversation) => {
+  const { messages } = conversation;
+  if (conversation.currentNodeId) return messages;
+
+  return messages.map((msg, index) => ({
+    ...msg,
+    parentMessageId: msg.parentMessageId || (index > 0 ? messages[index - 1]._id : undefined),
+    threadId: msg.threadId || MAIN_THREAD
+  }));
+};
+
+const migrateConversation = async (conversation) => {
+  const messages = linkMessages(conversation);
+
+  if (messages.length > 0) {
+    await Message.collection.bulkWrite(messages.map(msg => ({
+      replaceOne: {
+        filter: { _id: msg._id },
+        replacement: {
+          ...msg,
+          conversationId: conversation._id,
+          userId: conversation.userId
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  await Conversation.collection.updateOne({ _id: conversation._id }, {
+    $unset: { messages: '' },
+    $set: {
+      currentNodeId: conversation.currentNodeId || messages[messages.length - 1]?._id || null,
+      'metadata.messageCount': messages.length
+    }
+  });
+
+  return messages.length;
+};
+
+// Uploads named after their owner start with the owner's ID
+const OWNER_PREFIX = /^[0-9a-f]{24}-/;
+
+// Owner of an upload stored without the prefix, from the document extracted
+// from it or the messages it is attached to. Null if unknown or not a single user
+const findUploadOwner = async (filename) => {
+  const document = await Document.findOne({ fileId: filename }).select('userId').lean();
+  const owners = await Message.distinct('userId', { 'attachments.filename': filename });
+  const ids = new Set([document?.userId, ...owners].filter(Boolean).map(String));
+  return ids.size === 1 ? [...ids][0] : null;
+};
+
+// Rename an upload to carry its owner's ID and update what refers to it
+const migrateUpload = async (filename, ownerId) => {
+  const renamed = `${ownerId}-${filename}`;
+  await fs.rename(getUploadPath(filename), getUploadPath(renamed));
+
+  try {
+    await Message.updateMany(
+      { 'attachments.filename': filename },
+      { $set: { 'attachments.$[file].filename': renamed, 'attachments.$[file].url': `/api/upload/files/${renamed}` } },
+      { arrayFilters: [{ 'file.filename': filename }] }
+    );
+    await Document.updateMany({ fileId: filename }, { $set: { fileId: renamed } });
+    await DocumentChunk.updateMany({ fileId: filename }, { $set: { fileId: renamed } });
+  } catch (error) {
+    // Keep the old name, so the next run tries again
+    await fs.rename(getUploadPath(renamed), getUploadPath(filename));
+    throw error;
+  }
+};
+
+const migrateUploads = async () => {
+  let filenames;
+  try {
+    filenames = await fs.readdir(UPLOAD_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  let renamed = 0;
+  const unknown = [];
+  for (const filename of filenames.filter(name => !name.startsWith('.') && !OWNER_PREFIX.test(name))) {
+    const ownerId = await findUploadOwner(filename);
+    if (!ownerId) {
+      unknown.push(filename);
+      continue;
+    }
+
+    await migrateUpload(filename, ownerId);
+    renamed += 1;
+  }
+
+  console.log(`✅ Renamed ${renamed} uploads after their owner`);
+  if (unknown.length > 0) {
+    // Nobody can fetch or delete these through the API
+    console.log(`⚠️  ${unknown.length} uploads have no known owner and were left as they are: ${unknown.join(', ')}`);
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/chatgpt-clone');
+  console.log('✅ Connected to MongoDB');
+
+  // Creates the messages and embeddings indexes and drops the old text index on message contents
+  await Message.syncIndexes();
+  await Conversation.syncIndexes();
+  await MessageEmbedding.syncIndexes();
+  console.log('✅ Indexes updated');
+
+  const cursor = Conversation.collection.find(
+    { messages: { $exists: true } },
+    { projection: { userId: 1, currentNodeId: 1, messages: 1 } }
+  );
+
+  let conversations = 0;
+  let messages = 0;
+  for await (const conversation of cursor) {
+    messages += await migrateConversation(conversation);
+    conversations += 1;
+
+    if (conversations % 100 === 0) {
+      console.log(`   ${conversations} conversations migrated`);
+    }
+  }
+
+  console.log(`✅ Moved ${messages} messages from ${conversations} conversations`);
+
+  await migrateUploads();
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getModel } = require('../config/models');
+const { getPlanLimits } = require('../config/plans');
+const { isOwnedBy, getUploadPath, getMimeType, isImage } = require('../utils/uploads');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Message attachments
+// Clients attach files by the ID returned from the upload API. Attachments are
+// checked against their owner, the model and the user's plan before the message
+// is stored, and images are sent to vision models as image parts.
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+
+// Look up the uploaded files attached to a new message
+// Returns attachment records for the message
+const resolveAttachments = async (attachments = [], { user, modelId }) => {
+  const resolved = await Promise.all(attachments.map(async ({ id }) => {
+    const filename = path.basename(id);
+    if (!isOwnedBy(filename, user._id)) {
+      throw new NotFoundError(`Attachment not found: ${id}`);
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(getUploadPath(filename));
+    } catch (error) {
+      throw new NotFoundError(`Attachment not found: ${id}`);
+    }
+
+    return {
+      filename,
+      url: `/api/upload/files/${filename}`,
+      mimetype: getMimeType(filename),
+      size: stats.size
+    };
+  }));
+
+  const images = resolved.filter(file => isImage(file.mimetype));
+  if (images.length === 0) return resolved;
+
+  const model = getModel(modelId);
+  if (!model?.vision) {
+    throw new ValidationError(`${model ? model.name : modelId} does not accept images. Choose a model with vision support`);
+  }
+
+  const limits = getPlanLimits(user.subscription?.plan);
+  if (images.length > limits.maxImagesPerMessage) {
+    throw new AuthorizationError(`Your plan allows up to ${limits.maxImagesPerMessage} image(s) per message`);
+  }
+  if (images.some(image => image.size > limits.maxImageSize)) {
+    throw new AuthorizationError(`Your plan allows images up to ${formatMegabytes(limits.maxImageSize)}`);
+  }
+
+  return resolved;
+};
+
+// Image attachments of a message as base64 image parts for the model
+// Files deleted since the message was sent are skipped
+const loadImages = async (attachments = []) => {
+  const images = await Promise.all(attachments
+    .filter(file => file.mimetype && isImage(file.mimetype))
+    .map(async (file) => {
+      try {
+        const data = await fs.readFile(getUploadPath(file.filename));
+        return { mimetype: file.mimetype, data: data.toString('base64') };
+      } catch (error) {
+        return null;
+      }
+    }));
+
+  return images.filter(Boolean);
+};
+
+module.exports = {
+  resolveAttachments,
+  loadImages
+};
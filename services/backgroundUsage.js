@@ -0,0 +1,26 @@
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { logWarn } = require('../utils/logger');
+
+// Usage of background model calls
+// Titles, summaries and embeddings are not part of a reply, so their tokens and
+// cost are recorded here: against the user, and against the conversation when
+// the call was made for one. They count no messages toward the plan limit.
+
+// Record a background call. Failures are logged and otherwise ignored
+const recordBackgroundUsage = async ({ userId, conversationId, task, promptTokens = 0, completionTokens = 0, cost = 0 }) => {
+  const usage = { promptTokens, completionTokens, cost };
+
+  try {
+    await Promise.all([
+      User.incrementUsage(userId, 0, usage),
+      conversationId ? Conversation.addBackgroundUsage(conversationId, usage) : null
+    ]);
+  } catch (error) {
+    logWarn('Background usage not recorded', { task, userId, conversationId, error: error.message });
+  }
+};
+
+module.exports = {
+  recordBackgroundUsage
+};
@@ -0,0 +1,70 @@
+jest.mock('../utils/logger');
+
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const { logWarn } = require('../utils/logger');
+const { recordBackgroundUsage } = require('./backgroundUsage');
+
+describe('recordBackgroundUsage', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'incrementUsage').mockResolvedValue(null);
+    jest.spyOn(Conversation, 'addBackgroundUsage').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the user and the conversation, without counting a message', async () => {
+    await recordBackgroundUsage({
+      userId: 'user-1',
+      conversationId: 'conversation-1',
+      task: 'title',
+      promptTokens: 120,
+      completionTokens: 8,
+      cost: 0.00002
+    });
+
+    const usage = { promptTokens: 120, completionTokens: 8, cost: 0.00002 };
+    expect(User.incrementUsage).toHaveBeenCalledWith('user-1', 0, usage);
+    expect(Conversation.addBackgroundUsage).toHaveBeenCalledWith('conversation-1', usage);
+  });
+
+  it('only charges the user for calls made for no conversation', async () => {
+    await recordBackgroundUsage({ userId: 'user-1', task: 'embedding', promptTokens: 50, cost: 0.000001 });
+
+    expect(User.incrementUsage).toHaveBeenCalledWith('user-1', 0, { promptTokens: 50, completionTokens: 0, cost: 0.000001 });
+    expect(Conversation.addBackgroundUsage).not.toHaveBeenCalled();
+  });
+
+  it('logs failures instead of throwing', async () => {
+    User.incrementUsage.mockRejectedValue(new Error('connection lost'));
+
+    await expect(recordBackgroundUsage({ userId: 'user-1', conversationId: 'conversation-1', task: 'summary' }))
+      .resolves.toBeUndefined();
+    expect(logWarn).toHaveBeenCalledWith('Background usage not recorded', expect.objectContaining({
+      task: 'summary',
+      error: 'connection lost'
+    }));
+  });
+});
+
+describe('Conversation totals', () => {
+  it('keep background usage when recomputed from the messages', () => {
+    const conversation = new Conversation({
+      userId: '64b7f0c2a1b2c3d4e5f60718',
+      backgroundUsage: { promptTokens: 100, completionTokens: 10, cost: 0.5 }
+    });
+    conversation.$locals.messages = [
+      { role: 'user', tokens: 0, promptTokens: 0, completionTokens: 0, cost: 0 },
+      { role: 'assistant', tokens: 30, promptTokens: 20, completionTokens: 10, cost: 0.25, metadata: {} }
+    ];
+
+    conversation.recalculateTotals();
+
+    expect(conversation.totalTokens).toBe(140);
+    expect(conversation.totalPromptTokens).toBe(120);
+    expect(conversation.totalCompletionTokens).toBe(20);
+    expect(conversation.totalCost).toBe(0.75);
+  });
+});
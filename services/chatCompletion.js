@@ -0,0 +1,852 @@
+const { Types } = require('mongoose');
+const llm = require('./llm');
+const Assistant = require('../models/Assistant');
+const Message = require('../models/Message');
+const { fitContext } = require('./contextWindow');
+const streamBuffer = require('./streamBuffer');
+const { getToolDefinitions, executeTool } = require('./tools');
+const { needsTitle, generateTitle } = require('./titleGenerator');
+const { needsSummary, updateSummary } = require('./summarizer');
+const { resolveAttachments, loadImages } = require('./attachments');
+const { retrieveSources, formatSources } = require('./documents');
+const { indexExchange } = require('./semanticSearch');
+const { countPromptTokens, countMessageTokens } = require('../utils/tokenizer');
+const { calculateCost } = require('../utils/cost');
+const { NotFoundError, ValidationError, RateLimitError } = require('../middleware/errorHandler');
+const { recordUsage } = require('../middleware/auth');
+const { getPlanLimits } = require('../config/plans');
+const { getModel, getFallbackChain } = require('../config/models');
+const { logInfo, logWarn } = require('../utils/logger');
+
+// Shared chat completion pipeline
+// Both the REST message route and the `stream-message` socket handler go through
+// this module, so persistence, usage accounting and real-time events are the same
+// whichever transport the client uses.
+
+// Emit to everyone watching the conversation and to all of the owner's sockets,
+// so the sender receives events even if it has not joined the conversation room.
+// `onEvent` also receives every event, for transports other than Socket.IO
+const createEmitter = (io, conversationId, userId, onEvent) => (event, payload) => {
+  io.to(`conversation:${conversationId}`).to(`user:${userId}`).emit(event, payload);
+  if (onEvent) {
+    onEvent(event, payload);
+  }
+};
+
+// Generations in progress, keyed by conversation ID, so they can be stopped
+const activeGenerations = new Map();
+
+// Start buffering a generation's events and register it so it can be stopped
+const startGeneration = (conversation, user) => {
+  const generation = {
+    key: conversation._id.toString(),
+    buffer: streamBuffer.start(conversation._id),
+    controller: new AbortController(),
+    userId: user._id.toString()
+  };
+  activeGenerations.set(generation.key, generation);
+  return generation;
+};
+
+const finishGeneration = (conversation, generation) => {
+  streamBuffer.finish(conversation._id, generation.buffer);
+
+  // A newer generation may have replaced this one in the meantime
+  if (activeGenerations.get(generation.key) === generation) {
+    activeGenerations.delete(generation.key);
+  }
+};
+
+// Serialize a stored message for API responses and socket events
+const formatMessage = (message) => ({
+  _id: message._id,
+  role: message.role,
+  content: message.content,
+  parentMessageId: message.parentMessageId,
+  threadId: message.threadId,
+  timestamp: message.timestamp,
+  tokens: message.tokens,
+  promptTokens: message.promptTokens,
+  completionTokens: message.completionTokens,
+  cost: message.cost,
+  model: message.model,
+  attachments: message.attachments,
+  toolCalls: message.toolCalls,
+  toolCallId: message.toolCallId,
+  toolName: message.toolName,
+  metadata: message.metadata,
+  editedAt: message.editedAt,
+  pinnedAt: message.pinnedAt,
+  bookmarkedAt: message.bookmarkedAt
+});
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object.';
+
+// The conversation's system prompt, or else its assistant's instructions, or
+// else the user's custom instructions. The assistant's instructions are only
+// used while the user can still access it, e.g. until its owner stops sharing it
+const getSystemPrompt = async (conversation, user) => {
+  if (conversation.systemPrompt) return conversation.systemPrompt;
+
+  if (conversation.assistantId) {
+    const assistant = await Assistant.findById(conversation.assistantId).select('systemPrompt userId shareToken sharedWith');
+    if (assistant?.systemPrompt && assistant.isAccessibleBy(user._id)) return assistant.systemPrompt;
+  }
+
+  return user.preferences?.customInstructions || '';
+};
+
+// Prepare the messages of a conversation path for the model
+// The system prompt and document sources are added here rather than stored as
+// messages, and image attachments are only sent to vision models
+const buildPrompt = async (conversation, path, user, modelInfo, sources = []) => {
+  const messages = await Promise.all(path.map(async (msg) => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', toolCallId: msg.toolCallId, name: msg.toolName, content: msg.content };
+    }
+
+    if (msg.toolCalls?.length) {
+      return {
+        role: msg.role,
+        content: msg.content,
+        toolCalls: msg.toolCalls.map(call => ({ id: call.id, name: call.name, arguments: call.arguments }))
+      };
+    }
+
+    if (modelInfo.vision && msg.role === 'user' && msg.attachments?.length) {
+      const images = await loadImages(msg.attachments);
+      if (images.length > 0) {
+        return { role: msg.role, content: msg.content, images };
+      }
+    }
+
+    return { role: msg.role, content: msg.content };
+  }));
+
+  // JSON mode needs the model to be told to answer in JSON
+  const systemPrompt = [
+    await getSystemPrompt(conversation, user),
+    conversation.settings.responseFormat === 'json' ? JSON_INSTRUCTION : '',
+    sources.length > 0 ? formatSources(sources) : ''
+  ].filter(Boolean).join('\n\n');
+
+  return systemPrompt
+    ? [{ role: 'system', content: systemPrompt }, ...messages]
+    : messages;
+};
+
+// Start a new branch of the message tree
+const newThreadId = () => new Types.ObjectId().toString();
+
+// Most model calls in one reply; on the last one the model cannot call tools
+const MAX_TOOL_ROUNDS = 5;
+
+// Longest tool result kept in a message, in characters
+const MAX_TOOL_RESULT_LENGTH = 8000;
+
+// Fallbacks of a model that can take the same prompt: with a large enough
+// context window, and supporting the tools and images it has
+const getFallbacks = (modelId, { prompt, promptTokens, maxTokens, tools }) => {
+  const hasImages = prompt.some(msg => msg.images?.length);
+
+  return getFallbackChain(modelId).slice(1).filter(id => {
+    const fallback = getModel(id);
+    return fallback.maxTokens >= promptTokens + maxTokens
+      && (fallback.tools || tools.length === 0)
+      && (fallback.vision || !hasImages);
+  });
+};
+
+// Stream one model call, forwarding text to the client
+// `models` are the model to call and its fallbacks. Returns the model that
+// answered, the failed requests before, the text, the tool calls the model
+// requested and its usage report
+const streamCompletion = async ([modelId, ...fallbacks], options, { emit, conversation, signal }) => {
+  const completion = { modelId, retries: 0, text: '', toolCalls: [], providerUsage: null };
+
+  try {
+    for await (const event of llm.streamChat(modelId, { ...options, fallbacks, signal })) {
+      if (event.type === 'model') {
+        completion.modelId = event.model;
+        completion.retries = event.retries;
+      }
+
+      if (event.type === 'usage') {
+        completion.providerUsage = event;
+      }
+
+      if (event.type === 'tool_call') {
+        completion.toolCalls.push({ id: event.id, name: event.name, arguments: event.arguments });
+      }
+
+      if (event.type === 'text' && event.text) {
+        completion.text += event.text;
+
+        emit('ai-stream-chunk', {
+          conversationId: conversation._id,
+          chunk: event.text,
+          isComplete: false
+        });
+      }
+    }
+  } catch (error) {
+    // Stopping the generation aborts the stream; keep what was received
+    if (!signal.aborted) throw error;
+  }
+
+  return completion;
+};
+
+// Prefer the provider's usage report; count locally when it has none.
+// A stopped generation has no report, so only the tokens received are counted
+const getUsage = (modelId, completion, prompt) => {
+  const usage = completion.providerUsage
+    ? {
+      promptTokens: completion.providerUsage.promptTokens,
+      completionTokens: completion.providerUsage.completionTokens,
+      source: 'provider'
+    }
+    : {
+      promptTokens: countPromptTokens(prompt, modelId),
+      completionTokens: countMessageTokens({ content: completion.text, toolCalls: completion.toolCalls }, modelId),
+      source: 'tokenizer'
+    };
+  usage.cost = calculateCost(modelId, usage);
+  return usage;
+};
+
+// Run the tools the model called, persisting each result as a `tool` message
+// below `parentMessageId`. Returns the results as prompt messages for the next
+// model call, and the last message stored
+const runToolCalls = async (toolCalls, { conversation, user, modelId, parentMessageId, emit }) => {
+  const results = [];
+  let leafId = parentMessageId;
+
+  for (const toolCall of toolCalls) {
+    const startTime = Date.now();
+
+    emit('ai-tool-call', {
+      conversationId: conversation._id,
+      toolCall,
+      status: 'running'
+    });
+
+    let args = null;
+    try {
+      args = JSON.parse(toolCall.arguments || '{}');
+    } catch (error) {
+      // Reported to the model below
+    }
+
+    const outcome = args
+      ? await executeTool(toolCall.name, args, { user, conversation })
+      : { success: false, error: 'Tool arguments are not valid JSON' };
+
+    let content = JSON.stringify(outcome.success ? outcome.result : { error: outcome.error });
+    if (content.length > MAX_TOOL_RESULT_LENGTH) {
+      content = `${content.slice(0, MAX_TOOL_RESULT_LENGTH)}... [truncated]`;
+    }
+
+    const message = await conversation.addMessage({
+      role: 'tool',
+      content,
+      model: modelId,
+      toolCallId: toolCall.id,
+      toolName: toolCall.name,
+      parentMessageId: leafId,
+      metadata: {
+        processingTime: Date.now() - startTime,
+        error: outcome.success ? undefined : outcome.error
+      }
+    });
+    leafId = message._id;
+
+    emit('ai-tool-call', {
+      conversationId: conversation._id,
+      toolCall,
+      status: outcome.success ? 'completed' : 'failed',
+      message: formatMessage(message)
+    });
+
+    results.push({ role: 'tool', toolCallId: toolCall.id, name: toolCall.name, content });
+  }
+
+  return { results, leafId };
+};
+
+// Stream an assistant reply for the conversation and persist it
+// The reply continues the active path, or answers `parentMessageId`, and stays
+// on the parent's branch unless threadId starts a new one. When the model calls
+// tools, each call and its result are stored as messages and the model is called
+// again with the results, up to MAX_TOOL_ROUNDS times.
+// The replies of a comparison share one `generation`, and carry the comparison
+// ID and their candidate number in their events.
+// The conversation's messages must be loaded
+async function generateReply({
+  io,
+  conversation,
+  user,
+  model,
+  threadId,
+  parentMessageId = conversation.currentNodeId,
+  comparison,
+  generation: sharedGeneration,
+  onEvent
+}) {
+  // Events are numbered and buffered so reconnecting sockets can catch up
+  const generation = sharedGeneration || startGeneration(conversation, user);
+  const { buffer, controller } = generation;
+  const tag = comparison ? { comparisonId: comparison.id, candidate: comparison.candidate } : {};
+  const emitLive = createEmitter(io, conversation._id, user._id, onEvent);
+  const emit = (event, payload) => emitLive(event, streamBuffer.record(buffer, event, { ...payload, ...tag }));
+  const modelId = model || conversation.model;
+  const startTime = Date.now();
+
+  // Stored messages of this reply chain from the parent. Only the first one
+  // starts threadId's branch, the rest continue it
+  let leafId = parentMessageId;
+  let replyThreadId = threadId;
+
+  try {
+    // Emit AI typing indicator
+    emit('ai-typing-start', {
+      conversationId: conversation._id,
+      message: 'AI is thinking...'
+    });
+
+    // Fit the history into the model's window, reserving room for the reply
+    const { settings } = conversation;
+    const { model: modelInfo } = llm.resolveModel(modelId);
+    const maxTokens = Math.min(
+      settings.maxTokens,
+      modelInfo.maxOutputTokens,
+      getPlanLimits(user.subscription?.plan).maxOutputTokens
+    );
+    // Passages of attached documents, cited in the reply by number
+    const path = conversation.getPath(parentMessageId);
+    const sources = await retrieveSources({ conversation, user, path });
+    const { messages, context } = fitContext(await buildPrompt(conversation, path, user, modelInfo, sources), {
+      modelId,
+      contextWindow: modelInfo.maxTokens,
+      reservedTokens: maxTokens,
+      strategy: settings.contextStrategy,
+      summary: conversation.getPathSummary(path)
+    });
+
+    const tools = modelInfo.tools ? getToolDefinitions() : [];
+    const options = {
+      maxTokens,
+      temperature: settings.temperature,
+      topP: settings.topP,
+      presencePenalty: settings.presencePenalty,
+      frequencyPenalty: settings.frequencyPenalty,
+      stop: settings.stop?.length ? [...settings.stop] : undefined,
+      responseFormat: settings.responseFormat,
+      tools
+    };
+
+    // Models to call, in order, when requests keep failing. Once one falls
+    // back, the following tool rounds start from the model that answered
+    let models = [modelId, ...getFallbacks(modelId, {
+      prompt: messages,
+      promptTokens: context.promptTokens,
+      maxTokens,
+      tools
+    })];
+
+    let prompt = messages;
+    let completion;
+    let usage;
+    let toolRounds = 0;
+    const total = { promptTokens: 0, completionTokens: 0, cost: 0, retries: 0 };
+
+    for (;;) {
+      completion = await streamCompletion(models, {
+        ...options,
+        messages: prompt,
+        toolChoice: tools.length && toolRounds === MAX_TOOL_ROUNDS - 1 ? 'none' : undefined
+      }, { emit, conversation, signal: controller.signal });
+
+      models = models.slice(models.indexOf(completion.modelId));
+      total.retries += completion.retries;
+
+      usage = getUsage(completion.modelId, completion, prompt);
+      total.promptTokens += usage.promptTokens;
+      total.completionTokens += usage.completionTokens;
+      total.cost += usage.cost;
+
+      if (controller.signal.aborted || completion.toolCalls.length === 0) break;
+
+      // Keep the tool calls in the tree, then answer them
+      const toolCallMessage = await conversation.addMessage({
+        role: 'assistant',
+        content: completion.text,
+        model: completion.modelId,
+        toolCalls: completion.toolCalls,
+        tokens: usage.promptTokens + usage.completionTokens,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: usage.cost,
+        parentMessageId: leafId,
+        threadId: replyThreadId,
+        metadata: {
+          processingTime: Date.now() - startTime,
+          usageSource: usage.source,
+          retryCount: completion.retries,
+          requestedModel: completion.modelId !== modelId ? modelId : undefined
+        }
+      });
+      replyThreadId = undefined;
+
+      const { results: toolMessages, leafId: toolLeafId } = await runToolCalls(completion.toolCalls, {
+        conversation,
+        user,
+        modelId: completion.modelId,
+        parentMessageId: toolCallMessage._id,
+        emit
+      });
+      leafId = toolLeafId;
+      prompt = [
+        ...prompt,
+        { role: 'assistant', content: completion.text, toolCalls: completion.toolCalls },
+        ...toolMessages
+      ];
+      toolRounds++;
+    }
+
+    const cancelled = controller.signal.aborted;
+    const fullResponse = completion.text;
+    total.source = usage.source;
+    total.cost = Math.round(total.cost * 1e6) / 1e6;
+
+    // Stopped before any text arrived: there is no reply to keep
+    if (cancelled && !fullResponse) {
+      // Model calls that ended in tool calls were still used
+      if (toolRounds > 0) {
+        await recordUsage(user, total);
+      }
+
+      emit('ai-stream-cancelled', {
+        conversationId: conversation._id,
+        message: null
+      });
+
+      emit('ai-typing-stop', {
+        conversationId: conversation._id
+      });
+
+      return { success: true, message: null, cancelled };
+    }
+
+    emit('ai-stream-usage', {
+      conversationId: conversation._id,
+      usage: {
+        promptTokens: total.promptTokens,
+        completionTokens: total.completionTokens,
+        totalTokens: total.promptTokens + total.completionTokens,
+        cost: total.cost,
+        source: total.source
+      },
+      model: completion.modelId
+    });
+
+    // Add assistant message
+    const reply = await conversation.addMessage({
+      role: 'assistant',
+      content: fullResponse,
+      model: completion.modelId,
+      tokens: usage.promptTokens + usage.completionTokens,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      cost: usage.cost,
+      parentMessageId: leafId,
+      threadId: replyThreadId,
+      metadata: {
+        processingTime: Date.now() - startTime,
+        usageSource: usage.source,
+        retryCount: total.retries,
+        requestedModel: completion.modelId !== modelId ? modelId : undefined,
+        comparisonId: comparison?.id,
+        truncated: cancelled || undefined,
+        sources: sources.length > 0 ? sources.map(({ content, ...source }) => source) : undefined,
+        context: {
+          strategy: context.strategy,
+          promptTokens: context.promptTokens,
+          includedMessages: context.includedMessages,
+          summarizedMessages: context.summarizedMessages,
+          compressedMessages: context.compressedMessages,
+          droppedMessages: context.droppedMessages
+        }
+      }
+    });
+
+    const message = formatMessage(reply);
+
+    // Update user usage, including model calls that ended in tool calls
+    await recordUsage(user, total);
+
+    emit(cancelled ? 'ai-stream-cancelled' : 'ai-stream-complete', {
+      conversationId: conversation._id,
+      message
+    });
+
+    emit('ai-typing-stop', {
+      conversationId: conversation._id
+    });
+
+    // Titled in the background; clients get a `conversation-updated` event.
+    // A comparison does this once its candidates are done
+    if (!cancelled && !comparison && needsTitle(conversation)) {
+      generateTitle({ io, conversation, user });
+    }
+
+    // Summarize older turns in the background before they stop fitting
+    if (!cancelled && !comparison && needsSummary(context)) {
+      updateSummary({ conversation });
+    }
+
+    // Embedded in the background for semantic search
+    indexExchange({ conversation, message });
+
+    logInfo(cancelled ? 'Generation cancelled' : 'Message sent successfully', {
+      userId: user._id,
+      conversationId: conversation._id,
+      model: completion.modelId,
+      requestedModel: modelId,
+      retries: total.retries,
+      promptTokens: total.promptTokens,
+      completionTokens: total.completionTokens,
+      cost: total.cost,
+      toolRounds,
+      processingTime: message.metadata.processingTime
+    });
+
+    return { success: true, message, cancelled };
+  } catch (error) {
+    logWarn('LLM provider error', {
+      userId: user._id,
+      conversationId: conversation._id,
+      model: modelId,
+      error: error.message
+    });
+
+    emit('ai-stream-error', {
+      conversationId: conversation._id,
+      error: 'Failed to generate response'
+    });
+
+    emit('ai-typing-stop', {
+      conversationId: conversation._id
+    });
+
+    // Add error message to conversation
+    const message = await conversation.addMessage({
+      role: 'assistant',
+      content: 'Sorry, I encountered an error while processing your request. Please try again.',
+      model: modelId,
+      parentMessageId: leafId,
+      threadId: replyThreadId,
+      metadata: {
+        error: error.message,
+        retryCount: error.retries,
+        comparisonId: comparison?.id,
+        processingTime: Date.now() - startTime
+      }
+    });
+
+    return { success: false, error, message: formatMessage(message) };
+  } finally {
+    if (!sharedGeneration) {
+      finishGeneration(conversation, generation);
+    }
+  }
+}
+
+// Stop the generation in progress for a conversation
+// Returns false when the user has nothing generating there
+function cancelGeneration(conversationId, userId) {
+  const generation = activeGenerations.get(conversationId.toString());
+
+  if (!generation || generation.userId !== userId.toString()) {
+    return false;
+  }
+
+  generation.controller.abort();
+  return true;
+}
+
+// Whether a reply is being generated for a conversation
+function isGenerating(conversationId) {
+  return activeGenerations.has(conversationId.toString());
+}
+
+// Reject adding messages to a conversation that holds as many as its settings allow
+function checkNotFull(conversation) {
+  if (conversation.isFull()) {
+    throw new ValidationError(
+      `This conversation has reached its limit of ${conversation.settings.maxMessages} messages. Start a new conversation to continue`
+    );
+  }
+}
+
+// Store a user message and tell the clients about it
+// The message continues the active path unless a parent (null for a root) is
+// given. Its attachments must suit every model in `models`
+
+async function addUserMessage({
+  conversation,
+  user,
+  content,
+  models,
+  attachments,
+  metadata,
+  parentMessageId,
+  threadId,
+  emit
+}) {
+  // Checked before anything is stored, so a rejected message leaves no trace
+  checkNotFull(conversation);
+  const [files] = await Promise.all(models.map(modelId => resolveAttachments(attachments, { user, modelId })));
+
+  await conversation.loadMessages();
+  const userMessage = await conversation.addMessage({
+    role: 'user',
+    content,
+    model: models[0],
+    attachments: files,
+    metadata,
+    parentMessageId,
+    threadId
+  });
+
+  emit('message-sent', {
+    conversationId: conversation._id,
+    message: {
+      _id: userMessage._id,
+      role: 'user',
+      content,
+      attachments: userMessage.attachments,
+      parentMessageId: userMessage.parentMessageId,
+      threadId: userMessage.threadId,
+      timestamp: userMessage.timestamp,
+      userId: user._id,
+      username: user.username
+    }
+  });
+
+  return userMessage;
+}
+
+// Add a user message to the conversation and stream the assistant reply
+// The message continues the active path unless a parent (null for a root) is given
+async function sendMessage({
+  io,
+  conversation,
+  user,
+  content,
+  model,
+  attachments,
+  metadata,
+  parentMessageId,
+  threadId,
+  onEvent
+}) {
+  await addUserMessage({
+    conversation,
+    user,
+    content,
+    models: [model || conversation.model],
+    attachments,
+    metadata,
+    parentMessageId,
+    threadId,
+    emit: createEmitter(io, conversation._id, user._id, onEvent)
+  });
+
+  return generateReply({ io, conversation, user, model, onEvent });
+}
+
+// Send a user message to several models at once, so the user can compare the replies
+// The replies stream in parallel as variants of the message, each event tagged
+// with the comparison ID and the candidate's position in `models`. The first
+// model's reply is active until the user picks a winner
+async function compareModels({ io, conversation, user, content, models, attachments, onEvent }) {
+  // Each model's reply counts as a message
+  if (!user.canSendMessage(models.length)) {
+    throw new RateLimitError(`Comparing ${models.length} models needs ${models.length} messages; not enough are left this month`);
+  }
+
+  const userMessage = await addUserMessage({
+    conversation,
+    user,
+    content,
+    models,
+    attachments,
+    emit: createEmitter(io, conversation._id, user._id, onEvent)
+  });
+
+  const comparisonId = new Types.ObjectId().toString();
+  const generation = startGeneration(conversation, user);
+
+  let results;
+  try {
+    results = await Promise.all(models.map((model, candidate) => generateReply({
+      io,
+      conversation,
+      user,
+      model,
+      parentMessageId: userMessage._id,
+      // The first reply stays on the message's branch, like a regular reply
+      threadId: candidate > 0 ? newThreadId() : undefined,
+      comparison: { id: comparisonId, candidate },
+      generation,
+      onEvent
+    })));
+  } finally {
+    finishGeneration(conversation, generation);
+  }
+
+  const candidates = results.map((result, candidate) => ({
+    candidate,
+    model: models[candidate],
+    success: result.success,
+    message: result.message,
+    error: result.success ? undefined : result.error.message
+  }));
+
+  // Replies finish in any order; make the first one that was kept active
+  const first = candidates.find(item => item.message);
+  await conversation.selectMessage(first ? first.message._id : userMessage._id);
+
+  if (first && needsTitle(conversation)) {
+    generateTitle({ io, conversation, user });
+  }
+
+  logInfo('Models compared', {
+    userId: user._id,
+    conversationId: conversation._id,
+    comparisonId,
+    models,
+    failed: candidates.filter(item => !item.success).length
+  });
+
+  return { comparisonId, candidates };
+}
+
+// Pick the winning reply of a comparison
+// The winner becomes the active reply, and is marked preferred for analytics
+// while the other candidates are marked not preferred. A winner can be changed
+async function pickComparisonWinner({ conversation, comparisonId, messageId }) {
+  await conversation.loadMessages();
+
+  const candidates = conversation.getMessages().filter(msg => msg.metadata?.comparisonId === comparisonId);
+  if (candidates.length === 0) {
+    throw new NotFoundError('Comparison not found');
+  }
+
+  const winner = candidates.find(msg => msg._id.equals(messageId));
+  if (!winner) {
+    throw new ValidationError('The message is not a reply of this comparison');
+  }
+  if (winner.metadata.error) {
+    throw new ValidationError('A failed reply cannot win a comparison');
+  }
+
+  await Message.updateMany(
+    { conversationId: conversation._id, 'metadata.comparisonId': comparisonId },
+    [{ $set: { 'metadata.preferred': { $eq: ['$_id', winner._id] } } }]
+  );
+  candidates.forEach(msg => {
+    msg.metadata.preferred = msg._id.equals(winner._id);
+  });
+
+  await conversation.selectMessage(winner._id);
+
+  return {
+    winner: formatMessage(winner),
+    candidates: candidates.map(msg => ({ _id: msg._id, model: msg.model, preferred: msg.metadata.preferred }))
+  };
+}
+
+// Generate a new variant of an assistant reply (the latest one by default)
+// The variant replies to the same user message and becomes the active one
+async function regenerate({ io, conversation, user, messageId, model }) {
+  await conversation.loadMessages();
+
+  const target = messageId
+    ? conversation.getMessage(messageId)
+    : conversation.getActivePath().reverse().find(msg => msg.role === 'assistant');
+
+  if (!target) {
+    throw new NotFoundError('Message not found');
+  }
+
+  if (target.role !== 'assistant' || !target.parentMessageId) {
+    throw new ValidationError('Only assistant replies can be regenerated');
+  }
+
+  // The variant is a new message
+  checkNotFull(conversation);
+
+  // Rewind the active path to the prompt, so the new reply becomes a sibling
+  conversation.currentNodeId = target.parentMessageId;
+
+  const result = await generateReply({
+    io,
+    conversation,
+    user,
+    model: model || target.model,
+    threadId: newThreadId()
+  });
+
+  // Nothing was generated if it was stopped right away; keep the original reply active
+  if (result.success && !result.message) {
+    conversation.currentNodeId = target._id;
+  }
+
+  const reply = conversation.getMessage(conversation.currentNodeId);
+  return {
+    ...result,
+    variants: conversation.getVariants(reply).map(variant => variant._id)
+  };
+}
+
+// Edit a user message by branching: the new text becomes a sibling of the
+// original on a new branch, and the reply is generated from there
+async function editMessage({ io, conversation, user, messageId, content, model }) {
+  await conversation.loadMessages();
+
+  const target = conversation.getMessage(messageId);
+
+  if (!target) {
+    throw new NotFoundError('Message not found');
+  }
+
+  if (target.role !== 'user') {
+    throw new ValidationError('Only user messages can be edited');
+  }
+
+  return sendMessage({
+    io,
+    conversation,
+    user,
+    content,
+    model,
+    // The edit keeps the original attachments
+    attachments: target.attachments.map(file => ({ id: file.filename })),
+    parentMessageId: target.parentMessageId || null,
+    threadId: newThreadId()
+  });
+}
+
+module.exports = {
+  sendMessage,
+  compareModels,
+  pickComparisonWinner,
+  generateReply,
+  regenerate,
+  editMessage,
+  cancelGeneration,
+  isGenerating,
+  formatMessage
+};
@@ -0,0 +1,121 @@
+const { ValidationError } = require('../middleware/errorHandler');
+const {
+  REPLY_PRIMING,
+  countTokens,
+  countMessageTokens,
+  truncateToTokens
+} = require('../utils/tokenizer');
+
+// Context window management
+// Fits conversation history into the selected model's context window, keeping
+// room for the reply. Older turns are replaced by the conversation's running
+// summary when there is one, then compressed (when the conversation allows it)
+// and dropped oldest-first if the prompt still does not fit.
+
+// The most recent messages are never compressed
+const RECENT_MESSAGES = 4;
+
+// Older messages are clipped to this many tokens when compressing
+const COMPRESSED_MESSAGE_TOKENS = 200;
+
+// Clip a long message, keeping its beginning
+const compressMessage = (message, modelId) => {
+  if (countTokens(message.content, modelId) <= COMPRESSED_MESSAGE_TOKENS) return message;
+
+  return {
+    ...message,
+    content: `${truncateToTokens(message.content, COMPRESSED_MESSAGE_TOKENS, modelId)}... [truncated]`
+  };
+};
+
+const SUMMARY_PREFIX = 'Summary of the earlier part of this conversation:\n';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Fit messages into `contextWindow - reservedTokens` tokens
+// `summary` ({ content, coveredMessages }) summarizes the first history messages.
+// Returns the messages to send and a report of what was done to them
+function fitContext(messages, { modelId, contextWindow, reservedTokens, strategy = 'compress', summary }) {
+  const budget = contextWindow - reservedTokens;
+
+  const system = messages.filter(msg => msg.role === 'system');
+  let history = messages.filter(msg => msg.role !== 'system');
+
+  const countMessage = (msg) => countMessageTokens(msg, modelId);
+  const systemTokens = system.map(countMessage);
+  const historyTokens = history.map(countMessage);
+  const total = () => REPLY_PRIMING + sum(systemTokens) + sum(historyTokens);
+
+  const report = {
+    strategy: 'full',
+    budget,
+    promptTokens: total(),
+    includedMessages: messages.length,
+    summarizedMessages: 0,
+    compressedMessages: 0,
+    droppedMessages: 0
+  };
+
+  if (report.promptTokens <= budget) {
+    return { messages, context: report };
+  }
+
+  // Replace the summarized turns with the summary, always keeping the latest message
+  const summarized = summary ? Math.min(summary.coveredMessages, history.length - 1) : 0;
+  if (summarized > 0) {
+    const summaryMessage = { role: 'system', content: `${SUMMARY_PREFIX}${summary.content}` };
+    system.push(summaryMessage);
+    systemTokens.push(countMessage(summaryMessage));
+    history = history.slice(summarized);
+    historyTokens.splice(0, summarized);
+    report.summarizedMessages = summarized;
+    report.strategy = 'summarized';
+  }
+
+  // Compress older messages
+  if (strategy === 'compress' && total() > budget) {
+    const cutoff = history.length - RECENT_MESSAGES;
+    history = history.map((msg, index) => {
+      if (index >= cutoff) return msg;
+
+      const compressed = compressMessage(msg, modelId);
+      if (compressed !== msg) {
+        report.compressedMessages++;
+        historyTokens[index] = countMessage(compressed);
+      }
+      return compressed;
+    });
+    report.strategy = 'compressed';
+  }
+
+  // Drop the oldest turns until the prompt fits, always keeping the latest message
+  while (history.length > 1 && total() > budget) {
+    history.shift();
+    historyTokens.shift();
+    report.droppedMessages++;
+  }
+
+  // Don't start the history with an orphaned assistant reply or tool result
+  while (history.length > 1 && ['assistant', 'tool'].includes(history[0].role)) {
+    history.shift();
+    historyTokens.shift();
+    report.droppedMessages++;
+  }
+
+  if (report.droppedMessages > 0) {
+    report.strategy = 'truncated';
+  }
+
+  report.promptTokens = total();
+  report.includedMessages = system.length + history.length;
+
+  if (report.promptTokens > budget) {
+    throw new ValidationError('Message is too long for the context window of the selected model');
+  }
+
+  return { messages: [...system, ...history], context: report };
+}
+
+module.exports = {
+  fitContext
+};
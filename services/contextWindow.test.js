@@ -0,0 +1,115 @@
+const { fitContext } = require('./contextWindow');
+const { countPromptTokens } = require('../utils/tokenizer');
+
+const modelId = 'gpt-4o-mini';
+const long = (word, count) => Array(count).fill(word).join(' ');
+
+// A system prompt and `turns` exchanges of long messages, ending with a question
+const conversation = (turns) => [
+  { role: 'system', content: 'You are helpful.' },
+  ...Array.from({ length: turns }, (_, index) => [
+    { role: 'user', content: `Question ${index}: ${long('apple', 400)}` },
+    { role: 'assistant', content: `Answer ${index}: ${long('pear', 400)}` }
+  ]).flat(),
+  { role: 'user', content: 'And now?' }
+];
+
+describe('fitContext', () => {
+  it('sends everything when the prompt fits', () => {
+    const messages = conversation(2);
+    const { messages: fitted, context } = fitContext(messages, { modelId, contextWindow: 10000, reservedTokens: 1000 });
+
+    expect(fitted).toBe(messages);
+    expect(context).toMatchObject({
+      strategy: 'full',
+      budget: 9000,
+      promptTokens: countPromptTokens(messages, modelId),
+      includedMessages: messages.length,
+      droppedMessages: 0
+    });
+  });
+
+  it('keeps room for the reply', () => {
+    const messages = conversation(2);
+    const promptTokens = countPromptTokens(messages, modelId);
+
+    const fits = fitContext(messages, { modelId, contextWindow: promptTokens + 500, reservedTokens: 500 });
+    expect(fits.context.strategy).toBe('full');
+
+    const squeezed = fitContext(messages, { modelId, contextWindow: promptTokens + 500, reservedTokens: 501 });
+    expect(squeezed.context.strategy).not.toBe('full');
+    expect(squeezed.context.promptTokens).toBeLessThanOrEqual(promptTokens - 1);
+  });
+
+  it('compresses older messages and leaves the recent ones intact', () => {
+    const messages = conversation(4);
+    const { messages: fitted, context } = fitContext(messages, { modelId, contextWindow: 4000, reservedTokens: 1000 });
+
+    expect(context.strategy).toBe('compressed');
+    expect(context.compressedMessages).toBe(5);
+    expect(context.promptTokens).toBeLessThanOrEqual(3000);
+    expect(fitted).toHaveLength(messages.length);
+    fitted.slice(1, 6).forEach(msg => expect(msg.content).toMatch(/\.\.\. \[truncated\]$/));
+    expect(fitted.slice(-4)).toEqual(messages.slice(-4));
+  });
+
+  it('drops the oldest turns with the truncate strategy, starting on a user message', () => {
+    const messages = conversation(4);
+    const { messages: fitted, context } = fitContext(messages, {
+      modelId,
+      contextWindow: 3000,
+      reservedTokens: 1000,
+      strategy: 'truncate'
+    });
+
+    expect(context.strategy).toBe('truncated');
+    expect(context.compressedMessages).toBe(0);
+    expect(context.droppedMessages).toBeGreaterThan(0);
+    expect(context.promptTokens).toBeLessThanOrEqual(2000);
+    expect(fitted[0]).toBe(messages[0]);
+    expect(fitted[1].role).toBe('user');
+    expect(fitted[fitted.length - 1]).toBe(messages[messages.length - 1]);
+    expect(context.includedMessages).toBe(fitted.length);
+  });
+
+  it('sends the summary in place of the turns it covers', () => {
+    const messages = conversation(4);
+    const summary = { content: 'The user asked about fruit.', coveredMessages: 4 };
+    const { messages: fitted, context } = fitContext(messages, { modelId, contextWindow: 4000, reservedTokens: 1000, summary });
+
+    expect(context.strategy).toBe('summarized');
+    expect(context.summarizedMessages).toBe(4);
+    expect(fitted[0]).toBe(messages[0]);
+    expect(fitted[1]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier part of this conversation:\nThe user asked about fruit.'
+    });
+    expect(fitted.slice(2)).toEqual(messages.slice(5));
+  });
+
+  it('ignores the summary when the history fits', () => {
+    const messages = conversation(2);
+    const summary = { content: 'Earlier turns.', coveredMessages: 2 };
+    const { messages: fitted, context } = fitContext(messages, { modelId, contextWindow: 10000, reservedTokens: 1000, summary });
+
+    expect(fitted).toBe(messages);
+    expect(context.summarizedMessages).toBe(0);
+  });
+
+  it('keeps the latest message when the summary covers the whole history', () => {
+    const messages = conversation(4);
+    const summary = { content: 'Everything so far.', coveredMessages: 50 };
+    const { messages: fitted, context } = fitContext(messages, { modelId, contextWindow: 2000, reservedTokens: 1000, summary });
+
+    expect(context.summarizedMessages).toBe(messages.length - 2);
+    expect(fitted).toHaveLength(3);
+    expect(fitted[2]).toBe(messages[messages.length - 1]);
+  });
+
+  it('rejects a latest message that does not fit on its own', () => {
+    const messages = [{ role: 'user', content: long('apple', 2000) }];
+
+    expect(() => fitContext(messages, { modelId, contextWindow: 1500, reservedTokens: 500 }))
+      .toThrow('Message is too long for the context window of the selected model');
+  });
+});
@@ -0,0 +1,248 @@
+const fs = require('fs').promises;
+const mammoth = require('mammoth');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { getUploadPath } = require('../utils/uploads');
+const { countTokens, truncateToTokens } = require('../utils/tokenizer');
+const { logInfo, logWarn } = require('../utils/logger');
+
+// Document indexing and retrieval
+// Text is extracted from uploaded PDF, DOCX and TXT files in the background,
+// split into chunks and stored per user. When messages on the active path
+// attach documents, the chunks most relevant to the latest message are added
+// to the prompt as numbered sources for the model to cite.
+
+// Target chunk length, in tokens
+const CHUNK_TOKENS = 400;
+
+// Most chunks added to one prompt, and their total length in tokens
+const MAX_SOURCES = 6;
+const MAX_SOURCE_TOKENS = 3000;
+
+// Text extractors by content type; each returns the text of every page.
+// Only PDFs have pages, other formats are a single page without a number
+const EXTRACTORS = {
+  'application/pdf': async (buffer) => {
+    // Loaded on first use, so a problem with the PDF library only affects PDFs.
+    // The library's entry point runs a self-test when loaded without a parent module
+    const pdf = require('pdf-parse/lib/pdf-parse');
+    const pages = [];
+
+    // Keep each page's text with its number; lines are split where the text moves down
+    const pagerender = async (pageData) => {
+      const { items } = await pageData.getTextContent();
+      let lastY;
+      const text = items.reduce((result, item) => {
+        const separator = lastY === undefined || lastY === item.transform[5] ? '' : '\n';
+        lastY = item.transform[5];
+        return result + separator + item.str;
+      }, '');
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    };
+
+    const result = await pdf(buffer, { pagerender });
+    return { pages, pageCount: result.numpages };
+  },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': async (buffer) => {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return { pages: [{ text: value }] };
+  },
+  'text/plain': async (buffer) => ({ pages: [{ text: buffer.toString('utf8') }] })
+};
+
+// Check if text can be extracted from a content type
+const isDocument = (mimetype) => Boolean(EXTRACTORS[mimetype]);
+
+// Split pages into chunks of whole paragraphs; longer paragraphs are cut into pieces
+const chunkPages = (pages) => {
+  const chunks = [];
+
+  pages.forEach(({ page, text }) => {
+    let content = '';
+    let tokens = 0;
+
+    const flush = () => {
+      if (content) chunks.push({ page, content, tokens });
+      content = '';
+      tokens = 0;
+    };
+
+    text.split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .forEach(paragraph => {
+        let rest = paragraph;
+        let restTokens = countTokens(rest);
+
+        while (restTokens > CHUNK_TOKENS) {
+          flush();
+          const piece = truncateToTokens(rest, CHUNK_TOKENS);
+          chunks.push({ page, content: piece, tokens: CHUNK_TOKENS });
+          rest = rest.slice(piece.length).trim();
+          restTokens = countTokens(rest);
+        }
+
+        if (!rest) return;
+        if (tokens + restTokens > CHUNK_TOKENS) flush();
+        content = content ? `${content}\n\n${rest}` : rest;
+        tokens += restTokens;
+      });
+
+    flush();
+  });
+
+  return chunks.map((chunk, index) => ({ ...chunk, index }));
+};
+
+// Extract, chunk and store the text of a registered document
+const processDocument = async (document) => {
+  try {
+    const buffer = await fs.readFile(getUploadPath(document.fileId));
+    const { pages, pageCount } = await EXTRACTORS[document.mimetype](buffer);
+    const chunks = chunkPages(pages);
+
+    if (chunks.length === 0) {
+      document.status = 'failed';
+      document.error = 'No text found in the document';
+    } else {
+      await DocumentChunk.insertMany(chunks.map(chunk => ({
+        ...chunk,
+        documentId: document._id,
+        userId: document.userId,
+        fileId: document.fileId
+      })));
+
+      document.status = 'ready';
+      document.pageCount = pageCount;
+      document.chunkCount = chunks.length;
+      document.tokenCount = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+    }
+  } catch (error) {
+    logWarn('Document text extraction failed', {
+      fileId: document.fileId,
+      error: error.message
+    });
+    document.status = 'failed';
+    document.error = 'Text could not be extracted from the document';
+  }
+
+  await document.save();
+
+  logInfo('Document processed', {
+    userId: document.userId,
+    fileId: document.fileId,
+    status: document.status,
+    chunkCount: document.chunkCount
+  });
+
+  return document;
+};
+
+// Register an uploaded file and extract its text in the background
+// Returns the document, still `processing`
+const addDocument = async (userId, file) => {
+  const document = await Document.create({
+    userId,
+    fileId: file.filename,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size
+  });
+
+  processDocument(document).catch(error => logWarn('Document processing failed', {
+    fileId: document.fileId,
+    error: error.message
+  }));
+
+  return document;
+};
+
+// Remove the extracted text of a user's deleted upload
+const removeDocument = async (fileId, userId) => {
+  await DocumentChunk.deleteMany({ fileId, userId });
+  await Document.deleteOne({ fileId, userId });
+};
+
+// Upload IDs of the documents attached to user messages on a path
+const getAttachedFileIds = (path) => [...new Set(path
+  .filter(msg => msg.role === 'user')
+  .flatMap(msg => msg.attachments || [])
+  .filter(file => file.mimetype && isDocument(file.mimetype))
+  .map(file => file.filename))];
+
+// Chunks of the conversation's documents most relevant to its latest user message,
+// on the active path unless another path is given
+// Returns numbered sources; retrieval problems are logged and give no sources
+const retrieveSources = async ({ conversation, user, path = conversation.getActivePath() }) => {
+  const fileIds = getAttachedFileIds(path);
+  if (fileIds.length === 0) return [];
+
+  try {
+    const documents = await Document.find({ userId: user._id, fileId: { $in: fileIds }, status: 'ready' })
+      .select('fileId originalName')
+      .lean();
+    if (documents.length === 0) return [];
+
+    const query = path.slice().reverse().find(msg => msg.role === 'user')?.content || '';
+    const filter = { userId: user._id, fileId: { $in: documents.map(doc => doc.fileId) } };
+
+    let chunks = await DocumentChunk.find(
+      { ...filter, $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_SOURCES)
+      .lean();
+
+    // Nothing matched the words of the message (e.g. "summarize this"): use the start of each document
+    if (chunks.length === 0) {
+      chunks = await DocumentChunk.find({ ...filter, index: { $lt: 2 } })
+        .sort({ index: 1 })
+        .limit(MAX_SOURCES)
+        .lean();
+    }
+
+    const names = new Map(documents.map(doc => [doc.fileId, doc.originalName]));
+    const sources = [];
+    let tokens = 0;
+    for (const chunk of chunks) {
+      tokens += chunk.tokens || countTokens(chunk.content);
+      if (sources.length > 0 && tokens > MAX_SOURCE_TOKENS) break;
+
+      sources.push({
+        number: sources.length + 1,
+        fileId: chunk.fileId,
+        filename: names.get(chunk.fileId),
+        page: chunk.page,
+        chunkIndex: chunk.index,
+        content: chunk.content
+      });
+    }
+
+    return sources;
+  } catch (error) {
+    logWarn('Document retrieval failed', {
+      conversationId: conversation._id,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+// Sources as instructions for the system prompt
+const formatSources = (sources) => [
+  'The user attached documents. These excerpts may help with the latest message. '
+    + 'When you use one, cite it by its number in brackets, e.g. [1].',
+  ...sources.map(source => (
+    `[${source.number}] ${source.filename}${source.page ? `, page ${source.page}` : ''}\n${source.content}`
+  ))
+].join('\n\n');
+
+module.exports = {
+  isDocument,
+  addDocument,
+  removeDocument,
+  retrieveSources,
+  formatSources
+};
@@ -0,0 +1,141 @@
+const { getModel, getEmbeddingModel } = require('../../config/models');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { logWarn } = require('../../utils/logger');
+const { getRetryPolicy, isRetryable, getRetryDelay, wait } = require('./retry');
+const OpenAIProvider = require('./providers/openai');
+const LocalProvider = require('./providers/local');
+const AnthropicProvider = require('./providers/anthropic');
+
+// Provider factories, keyed by the `provider` field of the model catalog
+const factories = {
+  openai: () => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+  local: () => new LocalProvider({
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY
+  }),
+  anthropic: () => new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.ANTHROPIC_BASE_URL
+  })
+};
+
+// Providers are created lazily so a missing API key only fails when used
+const providers = new Map();
+
+const getProvider = (name) => {
+  if (!providers.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+};
+
+// Resolve the catalog entry and provider for a model ID
+const resolveModel = (modelId) => {
+  const model = getModel(modelId);
+  if (!model) {
+    throw new ValidationError(`Model ${modelId} is not available`);
+  }
+  return { model, provider: getProvider(model.provider) };
+};
+
+// Stream a chat completion from whichever provider serves the model
+// Requests that fail before anything is received are retried under the retry
+// policy, then sent to the `fallbacks` models in order. The first event is
+// `{ type: 'model', model, retries }`: the model that answers and how many
+// requests failed before. When every model fails, the last error is thrown
+// with `retries` set
+async function* streamChat(modelId, { fallbacks = [], ...options } = {}) {
+  const policy = getRetryPolicy();
+  let retries = 0;
+  let lastError;
+
+  for (const id of [modelId, ...fallbacks]) {
+    const { model, provider } = resolveModel(id);
+
+    for (let attempt = 0; ; attempt += 1) {
+      let started = false;
+
+      try {
+        const stream = provider.streamChat({
+          ...options,
+          model: id,
+          // A fallback may have a shorter limit
+          maxTokens: options.maxTokens && Math.min(options.maxTokens, model.maxOutputTokens)
+        });
+
+        for await (const event of stream) {
+          if (!started) {
+            started = true;
+            yield { type: 'model', model: id, retries };
+          }
+          yield event;
+        }
+
+        if (!started) {
+          yield { type: 'model', model: id, retries };
+        }
+        return;
+      } catch (error) {
+        // Part of the reply was already streamed, or the request was stopped
+        if (started || options.signal?.aborted || !isRetryable(error)) throw error;
+
+        lastError = error;
+        retries += 1;
+
+        const delay = getRetryDelay(error, attempt, policy);
+        if (delay === null) break;
+
+        logWarn('Model request failed, retrying', {
+          model: id,
+          attempt: attempt + 1,
+          delay: Math.round(delay),
+          error: error.message
+        });
+        await wait(delay, options.signal);
+      }
+    }
+
+    logWarn('Model request failed', {
+      model: id,
+      error: lastError.message
+    });
+  }
+
+  lastError.retries = retries;
+  throw lastError;
+}
+
+// Embed texts with the configured embedding model, retrying failed requests
+// Resolves to { embeddings, promptTokens, model }
+const embed = async (input, options = {}) => {
+  const model = getEmbeddingModel();
+  const provider = getProvider(model.provider);
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`The ${model.provider} provider does not support embeddings`);
+  }
+
+  const policy = getRetryPolicy();
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const result = await provider.embed({ model: model.id, input, ...options });
+      return { ...result, model: model.id };
+    } catch (error) {
+      const delay = isRetryable(error) && !options.signal?.aborted ? getRetryDelay(error, attempt, policy) : null;
+      if (delay === null) throw error;
+      await wait(delay, options.signal);
+    }
+  }
+};
+
+module.exports = {
+  getProvider,
+  resolveModel,
+  streamChat,
+  embed
+};
@@ -0,0 +1,132 @@
+jest.mock('../../utils/logger');
+
+const llm = require('./index');
+const { getFallbackChain } = require('../../config/models');
+
+// Collect the events of a stream, or the error that ended it
+const collect = async (stream) => {
+  const events = [];
+  try {
+    for await (const event of stream) events.push(event);
+  } catch (error) {
+    return { events, error };
+  }
+  return { events };
+};
+
+const failure = (status) => Object.assign(new Error(`status ${status}`), { status });
+
+describe('streamChat retries and fallbacks', () => {
+  const env = { ...process.env };
+  let provider;
+
+  beforeEach(() => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.LLM_MAX_RETRIES = '2';
+    process.env.LLM_RETRY_BASE_DELAY = '1';
+    process.env.LLM_RETRY_MAX_DELAY = '2';
+    provider = llm.getProvider('openai');
+    jest.spyOn(provider, 'streamChat');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  // Each call of the provider fails with the next error, or streams a reply
+  const respond = (...outcomes) => {
+    outcomes.forEach(outcome => provider.streamChat.mockImplementationOnce(async function* ({ model }) {
+      if (outcome instanceof Error) throw outcome;
+      yield { type: 'text', text: `${outcome} from ${model}` };
+    }));
+  };
+
+  it('streams the reply of the requested model', async () => {
+    respond('Hello');
+
+    const { events } = await collect(llm.streamChat('gpt-4o-mini', { messages: [] }));
+    expect(events).toEqual([
+      { type: 'model', model: 'gpt-4o-mini', retries: 0 },
+      { type: 'text', text: 'Hello from gpt-4o-mini' }
+    ]);
+  });
+
+  it('retries failed requests on the same model', async () => {
+    respond(failure(503), failure(429), 'Hello');
+
+    const { events } = await collect(llm.streamChat('gpt-4o-mini', { messages: [] }));
+    expect(provider.streamChat).toHaveBeenCalledTimes(3);
+    expect(events[0]).toEqual({ type: 'model', model: 'gpt-4o-mini', retries: 2 });
+  });
+
+  it('falls back to the next model once the retries are used up', async () => {
+    respond(failure(503), failure(503), failure(503), 'Hello');
+
+    const { events } = await collect(llm.streamChat('gpt-4o', { messages: [], fallbacks: ['gpt-4o-mini'] }));
+    expect(provider.streamChat.mock.calls.map(([options]) => options.model))
+      .toEqual(['gpt-4o', 'gpt-4o', 'gpt-4o', 'gpt-4o-mini']);
+    expect(events).toEqual([
+      { type: 'model', model: 'gpt-4o-mini', retries: 3 },
+      { type: 'text', text: 'Hello from gpt-4o-mini' }
+    ]);
+  });
+
+  it('caps the reply length at the fallback model limit', async () => {
+    respond(failure(503), failure(503), failure(503), 'Hello');
+
+    await collect(llm.streamChat('gpt-4o', { messages: [], maxTokens: 16000, fallbacks: ['gpt-3.5-turbo'] }));
+    expect(provider.streamChat.mock.calls.map(([options]) => options.maxTokens)).toEqual([16000, 16000, 16000, 4096]);
+  });
+
+  it('does not retry errors that will not go away', async () => {
+    respond(failure(400));
+
+    const { error } = await collect(llm.streamChat('gpt-4o', { messages: [], fallbacks: ['gpt-4o-mini'] }));
+    expect(error.status).toBe(400);
+    expect(provider.streamChat).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry once part of the reply was streamed', async () => {
+    provider.streamChat.mockImplementationOnce(async function* () {
+      yield { type: 'text', text: 'Hel' };
+      throw failure(503);
+    });
+
+    const { events, error } = await collect(llm.streamChat('gpt-4o', { messages: [], fallbacks: ['gpt-4o-mini'] }));
+    expect(events.map(event => event.type)).toEqual(['model', 'text']);
+    expect(error.status).toBe(503);
+    expect(provider.streamChat).toHaveBeenCalledTimes(1);
+  });
+
+  it('throws the last error with the number of failed requests when every model fails', async () => {
+    respond(...Array(6).fill(failure(503)));
+
+    const { error } = await collect(llm.streamChat('gpt-4o', { messages: [], fallbacks: ['gpt-4o-mini'] }));
+    expect(error.status).toBe(503);
+    expect(error.retries).toBe(6);
+  });
+});
+
+describe('getFallbackChain', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('follows MODEL_FALLBACKS from model to model', () => {
+    process.env.MODEL_FALLBACKS = 'gpt-4o=gpt-4o-mini, gpt-4o-mini=gpt-3.5-turbo';
+    expect(getFallbackChain('gpt-4o')).toEqual(['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo']);
+  });
+
+  it('stops at a cycle and skips models that are not available', () => {
+    process.env.MODEL_FALLBACKS = 'gpt-4o=no-such-model,no-such-model=gpt-4o-mini,gpt-4o-mini=gpt-4o';
+    expect(getFallbackChain('gpt-4o')).toEqual(['gpt-4o', 'gpt-4o-mini']);
+  });
+
+  it('is just the model without fallbacks', () => {
+    delete process.env.MODEL_FALLBACKS;
+    expect(getFallbackChain('gpt-4o')).toEqual(['gpt-4o']);
+  });
+});
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const { parseSSE } = require('../sse');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic Messages API provider
+class AnthropicProvider {
+  constructor({ apiKey, baseURL } = {}) {
+    this.name = 'anthropic';
+    this.client = axios.create({
+      baseURL: baseURL || 'https://api.anthropic.com/v1',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json'
+      }
+    });
+  }
+
+  // Convert a normalized message to a turn. Images become image blocks, tool
+  // calls tool_use blocks, and tool results are sent back as tool_result blocks
+  // in a user turn
+  formatTurn(msg) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }]
+      };
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: [
+          ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+          ...msg.toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: JSON.parse(call.arguments || '{}')
+          }))
+        ]
+      };
+    }
+
+    if (msg.images?.length) {
+      return {
+        role: msg.role,
+        content: [
+          ...msg.images.map(image => ({
+            type: 'image',
+            source: { type: 'base64', media_type: image.mimetype, data: image.data }
+          })),
+          { type: 'text', text: msg.content }
+        ]
+      };
+    }
+
+    return { role: msg.role, content: msg.content };
+  }
+
+  // Anthropic takes the system prompt separately and expects alternating
+  // user/assistant turns, so merge consecutive messages with the same role
+  formatMessages(messages) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const toBlocks = (content) => (typeof content === 'string'
+      ? [{ type: 'text', text: content }]
+      : content);
+
+    const turns = [];
+    messages
+      .filter(msg => msg.role !== 'system')
+      .map(msg => this.formatTurn(msg))
+      .forEach(turn => {
+        const previous = turns[turns.length - 1];
+        if (!previous || previous.role !== turn.role) {
+          turns.push(turn);
+        } else if (typeof previous.content === 'string' && typeof turn.content === 'string') {
+          previous.content += `\n\n${turn.content}`;
+        } else {
+          previous.content = [...toBlocks(previous.content), ...toBlocks(turn.content)];
+        }
+      });
+
+    return { system: system || undefined, messages: turns };
+  }
+
+  // Anthropic tool choice for the normalized `toolChoice` option
+  formatToolChoice(toolChoice) {
+    if (toolChoice === 'none') return { type: 'none' };
+    if (toolChoice === 'required') return { type: 'any' };
+    return undefined;
+  }
+
+  // Stream a message, yielding text deltas, complete tool calls and the final
+  // token usage. Aborting `signal` cancels the upstream request. Anthropic has no
+  // penalties or JSON mode; JSON replies rely on the system prompt
+  async *streamChat({ model, messages, maxTokens, temperature, topP, stop, tools, toolChoice, signal }) {
+    const { system, messages: turns } = this.formatMessages(messages);
+
+    const response = await this.client.post('/messages', {
+      model,
+      system,
+      messages: turns,
+      max_tokens: maxTokens,
+      temperature: temperature === undefined ? undefined : Math.min(temperature, 1),
+      // Only send top_p when it narrows sampling, as it is meant to replace temperature
+      top_p: topP < 1 ? topP : undefined,
+      stop_sequences: stop,
+      tools: tools?.length
+        ? tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+        : undefined,
+      tool_choice: tools?.length ? this.formatToolChoice(toolChoice) : undefined,
+      stream: true
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    // Tool calls being received, keyed by content block index
+    const toolCalls = new Map();
+
+    for await (const { event, data } of parseSSE(response.data)) {
+      const payload = JSON.parse(data);
+
+      if (event === 'error') {
+        const error = new Error(payload.error?.message || 'Anthropic stream error');
+        error.code = payload.error?.type;
+        throw error;
+      }
+
+      if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        yield { type: 'text', text: payload.delta.text };
+      }
+
+      // Tool input arrives as JSON fragments between the start and end of its block
+      if (event === 'content_block_start' && payload.content_block?.type === 'tool_use') {
+        toolCalls.set(payload.index, {
+          id: payload.content_block.id,
+          name: payload.content_block.name,
+          arguments: ''
+        });
+      }
+
+      if (event === 'content_block_delta' && payload.delta?.type === 'input_json_delta') {
+        toolCalls.get(payload.index).arguments += payload.delta.partial_json;
+      }
+
+      if (event === 'content_block_stop' && toolCalls.has(payload.index)) {
+        const call = toolCalls.get(payload.index);
+        yield { type: 'tool_call', ...call, arguments: call.arguments || '{}' };
+      }
+
+      // Input tokens are reported when the message starts, output tokens as it ends
+      if (event === 'message_start') {
+        const usage = payload.message?.usage || {};
+        promptTokens = (usage.input_tokens || 0)
+          + (usage.cache_creation_input_tokens || 0)
+          + (usage.cache_read_input_tokens || 0);
+      }
+
+      if (event === 'message_delta' && payload.usage) {
+        completionTokens = payload.usage.output_tokens;
+      }
+
+      if (event === 'message_stop') {
+        yield { type: 'usage', promptTokens, completionTokens };
+      }
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
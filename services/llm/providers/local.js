@@ -0,0 +1,15 @@
+const OpenAIProvider = require('./openai');
+
+// OpenAI-compatible local endpoint (Ollama, llama.cpp server, vLLM...)
+class LocalProvider extends OpenAIProvider {
+  constructor({ baseURL, apiKey } = {}) {
+    super({
+      // Most local servers ignore the key, but the OpenAI client requires one
+      apiKey: apiKey || 'not-needed',
+      baseURL,
+      name: 'local'
+    });
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,138 @@
+const OpenAI = require('openai');
+
+// OpenAI chat completions provider
+class OpenAIProvider {
+  constructor({ apiKey, baseURL, name = 'openai' } = {}) {
+    this.name = name;
+    this.client = new OpenAI({
+      apiKey,
+      baseURL,
+      // Retries follow the policy in services/llm/retry.js
+      maxRetries: 0
+    });
+  }
+
+  // Convert normalized messages, including images, tool calls and results, to the API format
+  formatMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+
+      if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        };
+      }
+
+      if (msg.images?.length) {
+        return {
+          role: msg.role,
+          content: [
+            { type: 'text', text: msg.content },
+            ...msg.images.map(image => ({
+              type: 'image_url',
+              image_url: { url: `data:${image.mimetype};base64,${image.data}` }
+            }))
+          ]
+        };
+      }
+
+      return { role: msg.role, content: msg.content };
+    });
+  }
+
+  // Stream a chat completion, yielding text deltas, complete tool calls and the
+  // final token usage. Aborting `signal` cancels the upstream request
+  async *streamChat({
+    model,
+    messages,
+    maxTokens,
+    temperature,
+    topP,
+    presencePenalty,
+    frequencyPenalty,
+    stop,
+    responseFormat,
+    tools,
+    toolChoice,
+    signal
+  }) {
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages: this.formatMessages(messages),
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      presence_penalty: presencePenalty,
+      frequency_penalty: frequencyPenalty,
+      stop,
+      response_format: responseFormat === 'json' ? { type: 'json_object' } : undefined,
+      tools: tools?.length
+        ? tools.map(tool => ({ type: 'function', function: tool }))
+        : undefined,
+      tool_choice: tools?.length ? toolChoice : undefined,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, {
+      signal
+    });
+
+    // Tool calls arrive in fragments, keyed by their index
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta;
+
+      if (delta?.content) {
+        yield { type: 'text', text: delta.content };
+      }
+
+      (delta?.tool_calls || []).forEach(fragment => {
+        const call = toolCalls[fragment.index] || { id: '', name: '', arguments: '' };
+        call.id = fragment.id || call.id;
+        call.name += fragment.function?.name || '';
+        call.arguments += fragment.function?.arguments || '';
+        toolCalls[fragment.index] = call;
+      });
+
+      // The usage chunk arrives last, with an empty choices array
+      if (chunk.usage) {
+        yield {
+          type: 'usage',
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens
+        };
+      }
+    }
+
+    for (const call of toolCalls.filter(Boolean)) {
+      yield { type: 'tool_call', ...call };
+    }
+  }
+
+  // Embed texts, returning one vector per text and the tokens used
+  async embed({ model, input, signal }) {
+    const response = await this.client.embeddings.create({
+      model,
+      input
+    }, {
+      signal
+    });
+
+    return {
+      embeddings: response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      promptTokens: response.usage?.prompt_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
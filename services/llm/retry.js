@@ -0,0 +1,84 @@
+const { APIConnectionError } = require('openai');
+
+// Retry policy for model requests
+// Rate limits, server errors and network failures are retried with exponential
+// backoff and full jitter. A `retry-after` from the provider is the least delay;
+// when it asks for longer than the longest delay, the request is not retried and
+// goes to the next fallback model instead. Configured through config.env.
+
+// HTTP statuses worth retrying; 529 is Anthropic's "overloaded"
+const RETRY_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network error codes (axios) and error types sent in provider streams worth retrying
+const RETRY_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'overloaded_error', 'rate_limit_error', 'api_error'];
+
+// Retries per model, and the base and longest backoff delay in ms
+const getRetryPolicy = () => {
+  const maxRetries = parseInt(process.env.LLM_MAX_RETRIES);
+  return {
+    maxRetries: Number.isNaN(maxRetries) ? 2 : maxRetries,
+    baseDelay: parseInt(process.env.LLM_RETRY_BASE_DELAY) || 500,
+    maxDelay: parseInt(process.env.LLM_RETRY_MAX_DELAY) || 10000
+  };
+};
+
+// HTTP status of a provider error: OpenAI client errors carry it, axios errors on their response
+const getStatus = (error) => error.status || error.response?.status;
+
+// Check if a failed request may succeed when sent again
+const isRetryable = (error) => {
+  if (error.retryable === false) return false;
+
+  const status = getStatus(error);
+  if (status) return RETRY_STATUSES.includes(status);
+
+  return error instanceof APIConnectionError || RETRY_CODES.includes(error.code);
+};
+
+// Delay asked for by the provider, in ms (0 if none)
+const getRetryAfter = (error) => {
+  const headers = error.headers || error.response?.headers;
+  const header = (name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+
+  const milliseconds = parseFloat(header('retry-after-ms'));
+  if (!Number.isNaN(milliseconds)) return milliseconds;
+
+  const value = header('retry-after');
+  if (!value) return 0;
+
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+};
+
+// Delay before retry number `attempt` (from 0), or null if the request should
+// not be retried on this model
+const getRetryDelay = (error, attempt, policy) => {
+  if (attempt >= policy.maxRetries) return null;
+
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter > policy.maxDelay) return null;
+
+  const backoff = Math.random() * Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.max(backoff, retryAfter);
+};
+
+// Wait for `ms`, or until `signal` is aborted
+const wait = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve();
+
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+module.exports = {
+  getRetryPolicy,
+  isRetryable,
+  getRetryDelay,
+  wait
+};
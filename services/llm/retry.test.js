@@ -0,0 +1,69 @@
+const { isRetryable, getRetryDelay } = require('./retry');
+
+const policy = { maxRetries: 2, baseDelay: 500, maxDelay: 10000 };
+
+describe('isRetryable', () => {
+  it('retries rate limits, server errors and overloads', () => {
+    [408, 429, 500, 503, 529].forEach(status => expect(isRetryable({ status })).toBe(true));
+    expect(isRetryable({ response: { status: 502 } })).toBe(true);
+  });
+
+  it('does not retry client errors', () => {
+    [400, 401, 403, 404, 422].forEach(status => expect(isRetryable({ status })).toBe(false));
+  });
+
+  it('retries network failures and overloaded streams', () => {
+    expect(isRetryable({ code: 'ECONNRESET' })).toBe(true);
+    expect(isRetryable({ code: 'overloaded_error' })).toBe(true);
+    expect(isRetryable(new Error('unexpected'))).toBe(false);
+  });
+
+  it('honours errors marked as not retryable', () => {
+    expect(isRetryable({ status: 503, retryable: false })).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('backs off exponentially with jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(getRetryDelay({ status: 503 }, 0, policy)).toBe(250);
+    expect(getRetryDelay({ status: 503 }, 1, policy)).toBe(500);
+  });
+
+  it('caps the backoff at the longest delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(getRetryDelay({ status: 503 }, 1, { ...policy, maxRetries: 10, maxDelay: 600 })).toBe(600);
+  });
+
+  it('stops once the retries are used up', () => {
+    expect(getRetryDelay({ status: 503 }, 2, policy)).toBeNull();
+  });
+
+  it('waits at least as long as the provider asks', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(getRetryDelay({ status: 429, headers: { 'retry-after': '2' } }, 0, policy)).toBe(2000);
+    expect(getRetryDelay({ status: 429, headers: { 'retry-after-ms': '1500' } }, 0, policy)).toBe(1500);
+    // Fetch-style headers, as sent with OpenAI client errors
+    expect(getRetryDelay({ status: 429, headers: new Map([['retry-after', '3']]) }, 0, policy)).toBe(3000);
+  });
+
+  it('understands a retry-after date', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const retryAt = new Date(Date.now() + 5000).toUTCString();
+
+    const delay = getRetryDelay({ status: 503, headers: { 'retry-after': retryAt } }, 0, policy);
+    expect(delay).toBeGreaterThan(3000);
+    expect(delay).toBeLessThanOrEqual(5000);
+  });
+
+  it('gives up on the model when the provider asks for longer than the longest delay', () => {
+    expect(getRetryDelay({ status: 429, headers: { 'retry-after': '60' } }, 0, policy)).toBeNull();
+  });
+});
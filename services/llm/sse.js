@@ -0,0 +1,30 @@
+// Parse a Server-Sent Events byte stream into { event, data } records
+async function* parseSSE(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    // Some servers end lines with \r\n. The whole buffer is normalized, so a
+    // \r\n split across chunks is still caught
+    buffer = (buffer + chunk.toString('utf8')).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
+}
+
+module.exports = { parseSSE };
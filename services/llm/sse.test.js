@@ -0,0 +1,65 @@
+const { parseSSE } = require('./sse');
+
+// A stream of the given chunks, as Buffers like an HTTP response body
+async function* streamOf(...chunks) {
+  for (const chunk of chunks) yield Buffer.from(chunk, 'utf8');
+}
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of parseSSE(stream)) events.push(event);
+  return events;
+};
+
+describe('parseSSE', () => {
+  it('parses events separated by blank lines', async () => {
+    const events = await collect(streamOf('data: {"a":1}\n\nevent: ping\ndata: {}\n\n'));
+
+    expect(events).toEqual([
+      { event: 'message', data: '{"a":1}' },
+      { event: 'ping', data: '{}' }
+    ]);
+  });
+
+  it('joins events split across chunks', async () => {
+    const events = await collect(streamOf('event: delta\nda', 'ta: {"text":"hi"}\n', '\n'));
+
+    expect(events).toEqual([{ event: 'delta', data: '{"text":"hi"}' }]);
+  });
+
+  it('joins multi-line data with newlines', async () => {
+    const events = await collect(streamOf('data: first\ndata: second\n\n'));
+
+    expect(events).toEqual([{ event: 'message', data: 'first\nsecond' }]);
+  });
+
+  it('skips comments and events without data', async () => {
+    const events = await collect(streamOf(': keep-alive\n\nevent: ping\n\ndata: [DONE]\n\n'));
+
+    expect(events).toEqual([{ event: 'message', data: '[DONE]' }]);
+  });
+
+  it('accepts CRLF line endings', async () => {
+    const events = await collect(streamOf('event: delta\r\ndata: {"a":1}\r\n\r\ndata: two\r\n\r\n'));
+
+    expect(events).toEqual([
+      { event: 'delta', data: '{"a":1}' },
+      { event: 'message', data: 'two' }
+    ]);
+  });
+
+  it('accepts a CRLF split across chunks', async () => {
+    const events = await collect(streamOf('data: one\r', '\n\r', '\ndata: two\r\n\r\n'));
+
+    expect(events).toEqual([
+      { event: 'message', data: 'one' },
+      { event: 'message', data: 'two' }
+    ]);
+  });
+
+  it('drops an incomplete event at the end of the stream', async () => {
+    const events = await collect(streamOf('data: one\n\ndata: cut'));
+
+    expect(events).toEqual([{ event: 'message', data: 'one' }]);
+  });
+});
@@ -0,0 +1,341 @@
+const { Types } = require('mongoose');
+const llm = require('./llm');
+const { recordBackgroundUsage } = require('./backgroundUsage');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const { getEmbeddingModel } = require('../config/models');
+const { truncateToTokens } = require('../utils/tokenizer');
+const { calculateEmbeddingCost } = require('../utils/cost');
+const { getSnippet } = require('../utils/snippet');
+const { logInfo, logWarn } = require('../utils/logger');
+
+// Semantic search over chat history
+// User and assistant messages are embedded in the background as they are
+// written, and stored with the user's ID. A search embeds the query and ranks
+// the user's vectors by cosine similarity; the hybrid mode adds a keyword score
+// for the messages matching the query words. With VECTOR_SEARCH_INDEX set, the
+// vectors are searched by an Atlas Vector Search index; otherwise the user's
+// most recent vectors are streamed and scored in-process, keeping only the best.
+// Embedding tokens and cost count against the user's usage.
+
+// Longest part of a message that is embedded, in tokens
+const MAX_EMBED_TOKENS = 2000;
+
+// Texts sent in one embedding request
+const BATCH_SIZE = 100;
+
+// Results below this cosine similarity are left out of semantic search
+const MIN_SEMANTIC_SCORE = 0.2;
+
+// Share of the vector score in the hybrid score; the rest is the keyword score
+const HYBRID_VECTOR_WEIGHT = 0.7;
+
+// Best text search matches that get a keyword score in hybrid mode
+const KEYWORD_MESSAGES = 100;
+
+// Best vector matches kept by a search, before ranking
+const VECTOR_CANDIDATES = 200;
+
+// Most vectors scored in-process by one search, newest first
+const MAX_SCANNED_VECTORS = 20000;
+
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+};
+
+const dot = (a, b) => a.reduce((sum, value, index) => sum + value * (b[index] || 0), 0);
+
+const isSearchable = (msg) => ['user', 'assistant'].includes(msg.role) && Boolean(msg.content);
+
+// Embed texts for a user, recording the tokens and cost in their usage
+const embedTexts = async (userId, texts) => {
+  const { embeddings, promptTokens = 0 } = await llm.embed(texts);
+
+  await recordBackgroundUsage({
+    userId,
+    task: 'embedding',
+    promptTokens,
+    cost: calculateEmbeddingCost(promptTokens)
+  });
+
+  return embeddings;
+};
+
+// The best `VECTOR_CANDIDATES` of scored vectors
+const keepBest = (scored) => scored
+  .sort((a, b) => b.semanticScore - a.semanticScore)
+  .slice(0, VECTOR_CANDIDATES);
+
+// The user's vectors most similar to the query, with their cosine similarity
+const findSimilarVectors = async (userId, model, queryVector) => {
+  const index = process.env.VECTOR_SEARCH_INDEX;
+
+  if (index) {
+    const matches = await MessageEmbedding.aggregate([
+      {
+        $vectorSearch: {
+          index,
+          path: 'embedding',
+          queryVector,
+          numCandidates: VECTOR_CANDIDATES * 10,
+          limit: VECTOR_CANDIDATES,
+          filter: { userId: new Types.ObjectId(userId), model: model.id }
+        }
+      },
+      { $project: { messageId: 1, conversationId: 1, score: { $meta: 'vectorSearchScore' } } }
+    ]);
+
+    // Atlas reports cosine similarity scaled to 0..1
+    return matches.map(match => ({
+      messageId: match.messageId,
+      conversationId: match.conversationId,
+      semanticScore: match.score * 2 - 1
+    }));
+  }
+
+  const cursor = MessageEmbedding.find({ userId, model: model.id })
+    .sort({ _id: -1 })
+    .limit(MAX_SCANNED_VECTORS)
+    .select('messageId conversationId embedding')
+    .lean()
+    .cursor();
+
+  let best = [];
+  for await (const vector of cursor) {
+    best.push({
+      messageId: vector.messageId,
+      conversationId: vector.conversationId,
+      semanticScore: dot(queryVector, vector.embedding)
+    });
+    if (best.length >= VECTOR_CANDIDATES * 2) {
+      best = keepBest(best);
+    }
+  }
+
+  return keepBest(best);
+};
+
+// Embed and store messages that are not indexed yet
+// Returns how many were indexed
+const indexMessages = async (userId, conversationId, messages) => {
+  const candidates = messages.filter(isSearchable);
+  if (candidates.length === 0) return 0;
+
+  const indexed = await MessageEmbedding.find({ messageId: { $in: candidates.map(msg => msg._id) } })
+    .distinct('messageId');
+  const done = new Set(indexed.map(String));
+  const pending = candidates.filter(msg => !done.has(msg._id.toString()));
+
+  const model = getEmbeddingModel();
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const batch = pending.slice(start, start + BATCH_SIZE);
+    const embeddings = await embedTexts(userId, batch.map(msg => truncateToTokens(msg.content, MAX_EMBED_TOKENS)));
+
+    await MessageEmbedding.insertMany(batch.map((msg, index) => ({
+      userId,
+      conversationId,
+      messageId: msg._id,
+      role: msg.role,
+      model: model.id,
+      embedding: normalize(embeddings[index])
+    })), { ordered: false });
+  }
+
+  return pending.length;
+};
+
+// Index the latest exchange of a conversation: the reply and the user message
+// it answers, above any tool calls. Failures are logged and otherwise ignored
+const indexExchange = async ({ conversation, message }) => {
+  try {
+    const findParent = (msg) => conversation.getMessage(msg.parentMessageId);
+    let prompt = findParent(message);
+    while (prompt && prompt.role !== 'user') {
+      prompt = findParent(prompt);
+    }
+
+    const messages = prompt ? [prompt, message] : [message];
+
+    await indexMessages(conversation.userId, conversation._id, messages);
+  } catch (error) {
+    logWarn('Message embedding failed', {
+      conversationId: conversation._id,
+      error: error.message
+    });
+  }
+};
+
+// Index a user's existing messages, at most `limit` per call
+// Returns how many were indexed and whether any are left
+const indexHistory = async (userId, { limit = 500 } = {}) => {
+  const done = await MessageEmbedding.find({ userId }).distinct('messageId');
+  const pending = await Message.find({
+    userId,
+    role: { $in: ['user', 'assistant'] },
+    _id: { $nin: done }
+  })
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .select('conversationId role content');
+
+  // Newest first, grouped by conversation
+  const byConversation = new Map();
+  pending.slice(0, limit).forEach(msg => {
+    const key = msg.conversationId.toString();
+    byConversation.set(key, [...(byConversation.get(key) || []), msg]);
+  });
+
+  let indexed = 0;
+  for (const messages of byConversation.values()) {
+    indexed += await indexMessages(userId, messages[0].conversationId, messages);
+  }
+
+  logInfo('Message history indexed', { userId, indexed });
+
+  return { indexed, complete: pending.length <= limit };
+};
+
+// Share of the query words found in a text
+const keywordScore = (content, words) => {
+  if (words.length === 0) return 0;
+  const lower = content.toLowerCase();
+  return words.filter(word => lower.includes(word)).length / words.length;
+};
+
+// Search a user's messages
+// `mode` is `semantic` or `hybrid`. Returns results with their conversation,
+// message, score and snippet, best first
+const searchMessages = async ({ userId, query, mode = 'semantic', limit = 20 }) => {
+  const model = getEmbeddingModel();
+  const [embedding] = await embedTexts(userId, [query]);
+  const queryVector = normalize(embedding);
+
+  // Vector scores of the messages most similar to the query
+  const similar = await findSimilarVectors(userId, model, queryVector);
+  const candidates = new Map(similar.map(match => [match.messageId.toString(), {
+    ...match,
+    keywordScore: 0
+  }]));
+
+  if (mode === 'hybrid') {
+    const words = [...new Set(query.toLowerCase().split(/\W+/).filter(word => word.length > 2))];
+    const matches = await Message.find(
+      { userId, role: { $in: ['user', 'assistant'] }, $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(KEYWORD_MESSAGES)
+      .select('conversationId role content')
+      .lean();
+
+    const keywordMatches = matches
+      .filter(isSearchable)
+      .map(msg => ({ msg, score: keywordScore(msg.content, words) }))
+      .filter(match => match.score > 0);
+
+    // Vector scores of keyword matches that were not among the most similar
+    const unscored = keywordMatches.filter(({ msg }) => !candidates.has(msg._id.toString()));
+    const vectors = unscored.length > 0
+      ? await MessageEmbedding.find({ messageId: { $in: unscored.map(({ msg }) => msg._id) }, model: model.id })
+        .select('messageId embedding')
+        .lean()
+      : [];
+    const vectorScores = new Map(vectors.map(vector => [
+      vector.messageId.toString(),
+      dot(queryVector, vector.embedding)
+    ]));
+
+    keywordMatches.forEach(({ msg, score }) => {
+      const key = msg._id.toString();
+      const candidate = candidates.get(key) || {
+        messageId: msg._id,
+        conversationId: msg.conversationId,
+        semanticScore: vectorScores.get(key) || 0
+      };
+      candidates.set(key, { ...candidate, keywordScore: score });
+    });
+  }
+
+  const ranked = [...candidates.values()]
+    .map(candidate => ({
+      ...candidate,
+      score: mode === 'hybrid'
+        ? HYBRID_VECTOR_WEIGHT * candidate.semanticScore + (1 - HYBRID_VECTOR_WEIGHT) * candidate.keywordScore
+        : candidate.semanticScore
+    }))
+    .filter(candidate => (mode === 'hybrid' ? candidate.score > 0 : candidate.score >= MIN_SEMANTIC_SCORE))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Load the messages; ones deleted since they were indexed are skipped
+  const [messages, conversations] = await Promise.all([
+    Message.find({ userId, _id: { $in: ranked.map(result => result.messageId) } })
+      .select('role content timestamp')
+      .lean(),
+    Conversation.find({
+      userId,
+      _id: { $in: [...new Set(ranked.map(result => result.conversationId.toString()))] }
+    })
+      .select('title')
+      .lean()
+  ]);
+  const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+  const conversationsById = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+
+  return ranked
+    .map(result => {
+      const conversation = conversationsById.get(result.conversationId.toString());
+      const message = messagesById.get(result.messageId.toString());
+      if (!conversation || !message) return null;
+
+      return {
+        conversation: { _id: conversation._id, title: conversation.title },
+        message: { _id: message._id, role: message.role, timestamp: message.timestamp },
+        score: Math.round(result.score * 1000) / 1000,
+        scores: mode === 'hybrid'
+          ? {
+            semantic: Math.round(result.semanticScore * 1000) / 1000,
+            keyword: Math.round(result.keywordScore * 1000) / 1000
+          }
+          : undefined,
+        snippet: getSnippet(message.content, query)
+      };
+    })
+    .filter(Boolean);
+};
+
+// Embed a message again after its text was edited
+// Failures are logged and otherwise ignored
+const reindexMessage = async (message) => {
+  try {
+    await MessageEmbedding.deleteOne({ messageId: message._id });
+    await indexMessages(message.userId, message.conversationId, [message]);
+  } catch (error) {
+    logWarn('Message embedding failed', {
+      conversationId: message.conversationId,
+      error: error.message
+    });
+  }
+};
+
+// Remove the embeddings of deleted messages
+const removeMessageEmbeddings = (messageIds) => MessageEmbedding.deleteMany({
+  messageId: { $in: messageIds }
+});
+
+// Remove a user's embeddings, of the given conversations or of all of them
+const removeEmbeddings = (userId, conversationIds) => MessageEmbedding.deleteMany({
+  userId,
+  ...(conversationIds ? { conversationId: { $in: conversationIds } } : {})
+});
+
+module.exports = {
+  indexExchange,
+  indexHistory,
+  searchMessages,
+  reindexMessage,
+  removeEmbeddings,
+  removeMessageEmbeddings
+};
@@ -0,0 +1,69 @@
+const { Types } = require('mongoose');
+
+// Stream buffers
+// Events of a generation are numbered and kept per conversation while it runs,
+// and for a short while after, so a socket that reconnects can replay the ones
+// it missed before continuing live.
+
+// How long events are kept once a generation has finished
+const RETENTION_MS = 60 * 1000;
+
+const buffers = new Map();
+
+// Start buffering a new generation, replacing the previous one
+const start = (conversationId) => {
+  const key = conversationId.toString();
+  const previous = buffers.get(key);
+  if (previous) {
+    clearTimeout(previous.timer);
+  }
+
+  const buffer = {
+    generationId: new Types.ObjectId().toString(),
+    seq: 0,
+    events: [],
+    timer: null
+  };
+  buffers.set(key, buffer);
+  return buffer;
+};
+
+// Number an event and keep it; returns the payload to emit
+const record = (buffer, event, payload) => {
+  buffer.seq += 1;
+  const numbered = { ...payload, generationId: buffer.generationId, seq: buffer.seq };
+  buffer.events.push({ event, payload: numbered });
+  return numbered;
+};
+
+// Drop the events of a finished generation after the retention period
+const finish = (conversationId, buffer) => {
+  const key = conversationId.toString();
+  buffer.timer = setTimeout(() => {
+    if (buffers.get(key) === buffer) {
+      buffers.delete(key);
+    }
+  }, RETENTION_MS);
+  buffer.timer.unref();
+};
+
+// Events the client has not seen yet. A client that last saw another
+// generation gets the current one from the start
+const getMissedEvents = (conversationId, { generationId, lastSeq = 0 } = {}) => {
+  const buffer = buffers.get(conversationId.toString());
+  if (!buffer) return { generationId: null, seq: 0, events: [] };
+
+  const after = generationId === buffer.generationId ? lastSeq : 0;
+  return {
+    generationId: buffer.generationId,
+    seq: buffer.seq,
+    events: buffer.events.filter(item => item.payload.seq > after)
+  };
+};
+
+module.exports = {
+  start,
+  record,
+  finish,
+  getMissedEvents
+};
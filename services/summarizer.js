@@ -0,0 +1,155 @@
+const llm = require('./llm');
+const { recordBackgroundUsage } = require('./backgroundUsage');
+const Conversation = require('../models/Conversation');
+const { getBackgroundModel } = require('../config/models');
+const { countTokens, truncateToTokens } = require('../utils/tokenizer');
+const { calculateCost } = require('../utils/cost');
+const { logInfo, logWarn } = require('../utils/logger');
+
+// Conversation summarizer
+// Keeps a running summary of the start of the active path. Once the history
+// fills most of the model's context window, the messages after the summary
+// (except the most recent ones) are folded into it in the background, so the
+// context window can use the summary in their place.
+
+// Share of the context budget the prompt may fill before summarizing starts
+const SUMMARY_THRESHOLD = 0.75;
+
+// The most recent messages are left out of the summary
+const KEEP_RECENT_MESSAGES = 6;
+
+// Fewer new messages than this are not worth an update
+const MIN_NEW_MESSAGES = 4;
+
+// Limits on what one update reads, in tokens
+const MAX_BATCH_TOKENS = 6000;
+const MAX_MESSAGE_TOKENS = 1000;
+
+const MAX_SUMMARY_TOKENS = 800;
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a conversation between a user and an AI assistant. '
+  + 'Update the summary with the new messages. Keep names, facts, decisions, preferences, '
+  + 'code and open questions; leave out small talk. Write at most 300 words, in the language '
+  + 'of the conversation. Reply with the summary only.';
+
+// Conversations being summarized, so updates don't overlap
+const inProgress = new Set();
+
+// Whether the summary should be updated, given the context report of a reply
+const needsSummary = (context) => (
+  context.strategy !== 'full' || context.promptTokens > context.budget * SUMMARY_THRESHOLD
+);
+
+// One message as a line of the transcript sent to the summarizer
+const formatLine = (msg, modelId) => {
+  if (msg.role === 'tool') {
+    return `Tool result (${msg.toolName}): ${truncateToTokens(msg.content, MAX_MESSAGE_TOKENS, modelId)}`;
+  }
+
+  const label = msg.role === 'user' ? 'User' : 'Assistant';
+  const calls = msg.toolCalls?.length
+    ? ` [called ${msg.toolCalls.map(call => call.name).join(', ')}]`
+    : '';
+  return `${label}: ${truncateToTokens(msg.content, MAX_MESSAGE_TOKENS, modelId)}${calls}`;
+};
+
+// Fold the next messages of the active path into the running summary
+// Failures are logged and otherwise ignored; the previous summary stays
+const updateSummary = async ({ conversation }) => {
+  const key = conversation._id.toString();
+  if (inProgress.has(key)) return null;
+  inProgress.add(key);
+
+  const modelId = getBackgroundModel(process.env.SUMMARY_MODEL);
+
+  try {
+    const path = conversation.getActivePath();
+    const current = conversation.getPathSummary(path);
+    const start = current ? current.coveredMessages : 0;
+    const end = path.length - KEEP_RECENT_MESSAGES;
+
+    const lines = [];
+    let tokens = 0;
+    for (let index = start; index < end; index++) {
+      const line = formatLine(path[index], modelId);
+      const lineTokens = countTokens(line, modelId);
+      if (lines.length > 0 && tokens + lineTokens > MAX_BATCH_TOKENS) break;
+      lines.push(line);
+      tokens += lineTokens;
+    }
+
+    // End on a whole exchange, so the history kept after the summary starts with a user message
+    while (lines.length > 0 && path[start + lines.length].role !== 'user') {
+      lines.pop();
+    }
+
+    if (lines.length < MIN_NEW_MESSAGES) return null;
+
+    const messages = [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `Current summary:\n${current ? current.content : '(none)'}\n\nNew messages:\n${lines.join('\n\n')}`
+      }
+    ];
+
+    let content = '';
+    let usage = null;
+    for await (const event of llm.streamChat(modelId, { messages, maxTokens: MAX_SUMMARY_TOKENS, temperature: 0.2 })) {
+      if (event.type === 'text') content += event.text;
+      if (event.type === 'usage') usage = event;
+    }
+
+    if (usage) {
+      await recordBackgroundUsage({
+        userId: conversation.userId,
+        conversationId: conversation._id,
+        task: 'summary',
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: calculateCost(modelId, usage)
+      });
+    }
+
+    content = content.trim();
+    if (!content) return null;
+
+    const through = path[start + lines.length - 1];
+    const summary = {
+      content,
+      throughMessageId: through._id,
+      summarizedMessages: start + lines.length,
+      model: modelId,
+      updatedAt: new Date()
+    };
+
+    // Only replace the summary this update started from
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'summary.throughMessageId': conversation.summary?.throughMessageId || null },
+      { $set: { summary } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    logInfo('Conversation summary updated', {
+      conversationId: conversation._id,
+      model: modelId,
+      summarizedMessages: summary.summarizedMessages
+    });
+
+    return summary;
+  } catch (error) {
+    logWarn('Summary update failed', {
+      conversationId: conversation._id,
+      model: modelId,
+      error: error.message
+    });
+    return null;
+  } finally {
+    inProgress.delete(key);
+  }
+};
+
+module.exports = {
+  needsSummary,
+  updateSummary
+};
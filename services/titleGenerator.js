@@ -0,0 +1,125 @@
+const llm = require('./llm');
+const { recordBackgroundUsage } = require('./backgroundUsage');
+const Conversation = require('../models/Conversation');
+const { getBackgroundModel } = require('../config/models');
+const { truncateToTokens } = require('../utils/tokenizer');
+const { calculateCost } = require('../utils/cost');
+const { logInfo, logWarn } = require('../utils/logger');
+
+// Conversation title generator
+// After the first exchange a cheap model is asked for a short title, in the
+// background. Titles the user set are never replaced.
+
+// Longest part of each message sent to the model, in tokens
+const MAX_EXCERPT_TOKENS = 500;
+
+const MAX_TITLE_LENGTH = 100;
+
+// English name of a language code, e.g. `fr` -> `French`
+const getLanguageName = (code = 'en') => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
+
+// Whether the conversation should get a generated title after this reply:
+// it has a default title and the active path holds its first exchange
+const needsTitle = (conversation) => {
+  if (conversation.titleSource !== 'default') return false;
+
+  const path = conversation.getActivePath();
+  return path.filter(msg => msg.role === 'user').length === 1
+    && path.some(msg => msg.role === 'assistant' && msg.content);
+};
+
+// Models sometimes quote the title or end it with a period
+const cleanTitle = (text) => text
+  .split('\n')[0]
+  .trim()
+  .replace(/^(title:\s*)/i, '')
+  .replace(/^["'`*]+|["'`*.]+$/g, '')
+  .trim()
+  .slice(0, MAX_TITLE_LENGTH);
+
+// Generate a title for the conversation and push it to the owner's clients
+// Failures are logged and otherwise ignored; the default title stays
+const generateTitle = async ({ io, conversation, user }) => {
+  const modelId = getBackgroundModel(process.env.TITLE_MODEL);
+
+  try {
+    const path = conversation.getActivePath();
+    const question = path.find(msg => msg.role === 'user');
+    const answer = path.find(msg => msg.role === 'assistant' && msg.content);
+    if (!question || !answer) return null;
+
+    const language = getLanguageName(user.preferences?.language);
+    const messages = [
+      {
+        role: 'system',
+        content: `Write a short title (at most 6 words) for the conversation below, in ${language}. `
+          + 'Reply with the title only, without quotes or punctuation at the end.'
+      },
+      {
+        role: 'user',
+        content: `User: ${truncateToTokens(question.content, MAX_EXCERPT_TOKENS, modelId)}\n\n`
+          + `Assistant: ${truncateToTokens(answer.content, MAX_EXCERPT_TOKENS, modelId)}`
+      }
+    ];
+
+    let text = '';
+    let usage = null;
+    for await (const event of llm.streamChat(modelId, { messages, maxTokens: 20, temperature: 0.3 })) {
+      if (event.type === 'text') text += event.text;
+      if (event.type === 'usage') usage = event;
+    }
+
+    if (usage) {
+      await recordBackgroundUsage({
+        userId: user._id,
+        conversationId: conversation._id,
+        task: 'title',
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: calculateCost(modelId, usage)
+      });
+    }
+
+    const title = cleanTitle(text);
+    if (!title) return null;
+
+    // Written atomically so a title the user set meanwhile is kept
+    const updated = await Conversation.findOneAndUpdate(
+      { _id: conversation._id, titleSource: { $ne: 'user' } },
+      { title, titleSource: 'generated' },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    io.to(`conversation:${conversation._id}`).to(`user:${user._id}`).emit('conversation-updated', {
+      conversationId: conversation._id,
+      title: updated.title,
+      titleSource: updated.titleSource
+    });
+
+    logInfo('Conversation title generated', {
+      conversationId: conversation._id,
+      model: modelId
+    });
+
+    return updated.title;
+  } catch (error) {
+    logWarn('Title generation failed', {
+      conversationId: conversation._id,
+      model: modelId,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  needsTitle,
+  generateTitle
+};
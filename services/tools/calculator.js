@@ -0,0 +1,176 @@
+const { ValidationError } = require('../../middleware/errorHandler');
+
+// Arithmetic calculator
+// Expressions are parsed here rather than evaluated as JavaScript, so the model
+// cannot run code through this tool.
+
+// Built without a prototype, so names like `constructor` are not found
+const FUNCTIONS = Object.assign(Object.create(null), {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+});
+
+const CONSTANTS = Object.assign(Object.create(null), {
+  pi: Math.PI,
+  e: Math.E
+});
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?|[a-z]+|\*\*|[-+*/%^(),])/gy;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const input = expression.toLowerCase().trim();
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < input.length) {
+    const match = TOKEN_PATTERN.exec(input);
+    if (!match) {
+      throw new ValidationError(`Unexpected character in expression: ${input[TOKEN_PATTERN.lastIndex]}`);
+    }
+    tokens.push(match[1] === '**' ? '^' : match[1]);
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser:
+// expression = term (("+" | "-") term)*
+// term       = unary (("*" | "/" | "%") unary)*
+// unary      = ("-" | "+") unary | power
+// power      = primary ("^" unary)?
+// primary    = number | constant | function "(" args ")" | "(" expression ")"
+const evaluate = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new ValidationError(`Expected "${token}" in expression`);
+    }
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token === undefined) {
+      throw new ValidationError('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^\d/.test(token)) {
+      return parseFloat(token);
+    }
+
+    if (CONSTANTS[token] !== undefined) {
+      return CONSTANTS[token];
+    }
+
+    if (FUNCTIONS[token]) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[token](...args);
+    }
+
+    throw new ValidationError(`Unknown token in expression: ${token}`);
+  };
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new ValidationError(`Unexpected token in expression: ${peek()}`);
+  }
+  return value;
+};
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, '
+    + 'the constants pi and e, and the functions sqrt, abs, round, floor, ceil, sin, cos, tan, '
+    + 'log (base 10), ln, exp, pow, min and max.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(3 + 4) * sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+  execute: async ({ expression }) => {
+    if (typeof expression !== 'string' || expression.length > 500) {
+      throw new ValidationError('Expression must be a string of at most 500 characters');
+    }
+
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new ValidationError('Expression does not evaluate to a finite number');
+    }
+
+    return { expression, result };
+  }
+};
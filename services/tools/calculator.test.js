@@ -0,0 +1,30 @@
+const calculator = require('./calculator');
+
+const calc = async (expression) => (await calculator.execute({ expression })).result;
+
+describe('calculator', () => {
+  it('respects operator precedence', async () => {
+    expect(await calc('2 + 3 * 4')).toBe(14);
+    expect(await calc('(2 + 3) * 4')).toBe(20);
+  });
+
+  it('binds unary minus looser than exponentiation', async () => {
+    expect(await calc('-2^2')).toBe(-4);
+    expect(await calc('(-2)^2')).toBe(4);
+    expect(await calc('2^-1')).toBe(0.5);
+  });
+
+  it('treats exponentiation as right-associative', async () => {
+    expect(await calc('2^3^2')).toBe(512);
+  });
+
+  it('rejects names inherited from Object.prototype', async () => {
+    await expect(calc('constructor(1)')).rejects.toThrow('Unknown token in expression: constructor');
+    await expect(calc('constructor + 1')).rejects.toThrow('Unknown token in expression: constructor');
+    await expect(calc('toString(2)')).rejects.toThrow('Unknown token in expression: tostring');
+  });
+
+  it('rejects non-finite results', async () => {
+    await expect(calc('1 / 0')).rejects.toThrow('finite');
+  });
+});
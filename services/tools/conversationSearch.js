@@ -0,0 +1,76 @@
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { getSnippet } = require('../../utils/snippet');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Most recent matching messages looked at, across conversations
+const MAX_MATCHES = 200;
+
+// Search the user's other conversations
+module.exports = {
+  name: 'search_conversations',
+  description: "Search the user's previous conversations for messages containing a phrase. "
+    + 'Returns matching conversations with snippets of the matching messages.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Phrase to look for'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum number of conversations to return (1-10, default 5)'
+      }
+    },
+    required: ['query']
+  },
+  execute: async ({ query, limit = 5 }, { user, conversation }) => {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new ValidationError('Query is required');
+    }
+
+    const pattern = new RegExp(escapeRegex(query.trim()), 'i');
+    const messages = await Message.find({
+      userId: user._id,
+      conversationId: { $ne: conversation._id },
+      role: { $in: ['user', 'assistant'] },
+      content: pattern
+    })
+      .sort({ timestamp: -1 })
+      .limit(MAX_MATCHES)
+      .select('conversationId role content timestamp')
+      .lean();
+
+    // Conversations with the most recent matches first
+    const matchesByConversation = new Map();
+    messages.forEach(msg => {
+      const key = msg.conversationId.toString();
+      matchesByConversation.set(key, [...(matchesByConversation.get(key) || []), msg]);
+    });
+    const conversationIds = [...matchesByConversation.keys()]
+      .slice(0, Math.min(Math.max(parseInt(limit) || 5, 1), 10));
+
+    const conversations = await Conversation.find({ userId: user._id, _id: { $in: conversationIds } })
+      .select('title')
+      .lean();
+    const titles = new Map(conversations.map(conv => [conv._id.toString(), conv.title]));
+
+    return {
+      query,
+      results: conversationIds.map(id => ({
+        conversationId: id,
+        title: titles.get(id),
+        matches: matchesByConversation.get(id)
+          .slice(0, 3)
+          .map(msg => ({
+            role: msg.role,
+            timestamp: msg.timestamp,
+            snippet: getSnippet(msg.content, query.trim())
+          }))
+      }))
+    };
+  }
+};
@@ -0,0 +1,37 @@
+const { ValidationError } = require('../../middleware/errorHandler');
+
+// Current date and time, optionally in another time zone
+module.exports = {
+  name: 'current_datetime',
+  description: 'Get the current date and time. Optionally give an IANA time zone such as "Africa/Tunis".',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone name; defaults to UTC'
+      }
+    }
+  },
+  execute: async ({ timeZone = 'UTC' } = {}) => {
+    const now = new Date();
+
+    let formatted;
+    try {
+      formatted = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      }).format(now);
+    } catch (error) {
+      throw new ValidationError(`Unknown time zone: ${timeZone}`);
+    }
+
+    return {
+      iso: now.toISOString(),
+      timeZone,
+      formatted,
+      unixTimestamp: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
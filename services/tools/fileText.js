@@ -0,0 +1,81 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Document = require('../../models/Document');
+const DocumentChunk = require('../../models/DocumentChunk');
+const { NotFoundError, ValidationError } = require('../../middleware/errorHandler');
+const { isOwnedBy, getUploadPath } = require('../../utils/uploads');
+
+// Longest text returned to the model, in characters, so the result fits in a message
+const MAX_TEXT_LENGTH = 8000;
+
+const TEXT_EXTENSIONS = ['.txt'];
+
+// Text of a plain text upload, read from disk
+const readTextFile = async (fileId) => {
+  try {
+    return await fs.readFile(getUploadPath(fileId), 'utf8');
+  } catch (error) {
+    throw new NotFoundError('File not found');
+  }
+};
+
+// Text extracted from a PDF or DOCX upload, optionally from one page
+const readDocument = async (fileId, userId, page) => {
+  const document = await Document.findOne({ fileId, userId });
+  if (!document) {
+    throw new ValidationError('Text can only be read from text, PDF and DOCX files');
+  }
+  if (document.status !== 'ready') {
+    throw new ValidationError(document.status === 'processing'
+      ? 'The document is still being processed'
+      : document.error || 'Text could not be extracted from the document');
+  }
+
+  const chunks = await DocumentChunk.find({ fileId, userId, ...(page ? { page } : {}) })
+    .sort({ index: 1 })
+    .select('content')
+    .lean();
+  if (page && chunks.length === 0) {
+    throw new ValidationError(`The document has no text on page ${page}`);
+  }
+
+  return chunks.map(chunk => chunk.content).join('\n\n');
+};
+
+// Read the text of one of the user's uploaded files
+module.exports = {
+  name: 'read_uploaded_file',
+  description: 'Read the text content of a file the user uploaded (text, PDF or DOCX), given its file ID (filename). '
+    + 'For PDFs a page number can be given.',
+  parameters: {
+    type: 'object',
+    properties: {
+      fileId: {
+        type: 'string',
+        description: 'ID of the uploaded file, as returned by the upload API'
+      },
+      page: {
+        type: 'integer',
+        description: 'PDF page to read; the whole document by default'
+      }
+    },
+    required: ['fileId']
+  },
+  execute: async ({ fileId, page }, { user }) => {
+    if (typeof fileId !== 'string' || !isOwnedBy(fileId, user._id)) {
+      throw new NotFoundError('File not found');
+    }
+
+    const pageNumber = parseInt(page) || undefined;
+    const text = TEXT_EXTENSIONS.includes(path.extname(fileId).toLowerCase()) && !pageNumber
+      ? await readTextFile(fileId)
+      : await readDocument(path.basename(fileId), user._id, pageNumber);
+
+    return {
+      fileId,
+      page: pageNumber,
+      text: text.slice(0, MAX_TEXT_LENGTH),
+      truncated: text.length > MAX_TEXT_LENGTH
+    };
+  }
+};
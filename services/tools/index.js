@@ -0,0 +1,52 @@
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const conversationSearch = require('./conversationSearch');
+const fileText = require('./fileText');
+
+// Tool registry
+// A tool has a name, a description and JSON Schema parameters the model sees,
+// and `execute(args, { user, conversation })`, which returns a JSON-serializable
+// result or throws.
+
+const tools = new Map();
+
+// Add a tool to the registry
+const registerTool = (tool) => {
+  if (!tool.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute function');
+  }
+  tools.set(tool.name, tool);
+};
+
+[calculator, datetime, conversationSearch, fileText].forEach(registerTool);
+
+// Definitions of the registered tools, for the model
+const getToolDefinitions = () => Array.from(tools.values()).map(({ name, description, parameters }) => ({
+  name,
+  description,
+  parameters
+}));
+
+// Run a tool call from the model
+// Failures are returned as a result, so the model can see what went wrong
+const executeTool = async (name, args, context) => {
+  const tool = tools.get(name);
+  if (!tool) {
+    return { success: false, error: `Unknown tool: ${name}` };
+  }
+
+  try {
+    return { success: true, result: await tool.execute(args || {}, context) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.isOperational ? error.message : 'Tool execution failed'
+    };
+  }
+};
+
+module.exports = {
+  registerTool,
+  getToolDefinitions,
+  executeTool
+};
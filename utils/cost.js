@@ -0,0 +1,36 @@
+const { getModel, getEmbeddingModel } = require('../config/models');
+
+// Cost helpers
+// Model pricing in the catalog is in USD per 1K tokens. Plans are sold in TND,
+// so reports convert with USD_TO_TND (defaults to an approximate rate).
+
+const USD_TO_TND = parseFloat(process.env.USD_TO_TND) || 3.1;
+
+// Round to a millionth of a dollar to avoid floating point noise
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Compute the USD cost of a completion from its token usage
+const calculateCost = (modelId, { promptTokens = 0, completionTokens = 0 } = {}) => {
+  const model = getModel(modelId);
+  if (!model) return 0;
+
+  return round(
+    (promptTokens / 1000) * model.pricing.input
+    + (completionTokens / 1000) * model.pricing.output
+  );
+};
+
+// Compute the USD cost of embedding texts with the configured embedding model
+const calculateEmbeddingCost = (promptTokens = 0) => round(
+  (promptTokens / 1000) * getEmbeddingModel().pricing.input
+);
+
+// Convert a USD amount to TND
+const toTND = (usd) => Math.round(usd * USD_TO_TND * 1000) / 1000;
+
+module.exports = {
+  USD_TO_TND,
+  calculateCost,
+  calculateEmbeddingCost,
+  toTND
+};
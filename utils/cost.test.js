@@ -0,0 +1,41 @@
+const { USD_TO_TND, calculateCost, calculateEmbeddingCost, toTND } = require('./cost');
+
+describe('cost', () => {
+  describe('calculateCost', () => {
+    it('prices prompt and completion tokens at the model rates', () => {
+      // gpt-4o: $0.005 per 1K prompt tokens, $0.015 per 1K completion tokens
+      expect(calculateCost('gpt-4o', { promptTokens: 1000, completionTokens: 2000 })).toBe(0.035);
+    });
+
+    it('rounds to a millionth of a dollar', () => {
+      // 0.15 + 0.6 millionths of a dollar
+      expect(calculateCost('gpt-4o-mini', { promptTokens: 1, completionTokens: 1 })).toBe(0.000001);
+      expect(calculateCost('gpt-4o-mini', { promptTokens: 1 })).toBe(0);
+    });
+
+    it('counts missing usage as no tokens', () => {
+      expect(calculateCost('gpt-4o')).toBe(0);
+      expect(calculateCost('gpt-4o', { completionTokens: 1000 })).toBe(0.015);
+    });
+
+    it('costs nothing for models outside the catalog', () => {
+      expect(calculateCost('no-such-model', { promptTokens: 1000, completionTokens: 1000 })).toBe(0);
+    });
+  });
+
+  describe('calculateEmbeddingCost', () => {
+    it('prices tokens at the embedding model rate', () => {
+      // text-embedding-3-small: $0.00002 per 1K tokens
+      expect(calculateEmbeddingCost(50000)).toBe(0.001);
+      expect(calculateEmbeddingCost()).toBe(0);
+    });
+  });
+
+  describe('toTND', () => {
+    it('converts at USD_TO_TND, rounded to a millime', () => {
+      expect(toTND(1)).toBe(Math.round(USD_TO_TND * 1000) / 1000);
+      expect(toTND(0.0001234)).toBe(Math.round(0.0001234 * USD_TO_TND * 1000) / 1000);
+      expect(toTND(0)).toBe(0);
+    });
+  });
+});
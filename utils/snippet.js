@@ -0,0 +1,20 @@
+// Search result snippets
+
+const SNIPPET_RADIUS = 100;
+
+// Text around the query, else around its longest word found, else the start of the text
+const getSnippet = (content, query = '') => {
+  const lower = content.toLowerCase();
+  const words = [query.trim(), ...query.split(/\s+/).sort((a, b) => b.length - a.length)]
+    .filter(word => word.length > 1);
+  const match = words.map(word => ({ word, index: lower.indexOf(word.toLowerCase()) }))
+    .find(({ index }) => index !== -1);
+
+  const start = match ? Math.max(0, match.index - SNIPPET_RADIUS) : 0;
+  const end = Math.min(content.length, match ? match.index + match.word.length + SNIPPET_RADIUS : SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '...' : ''}${content.slice(start, end)}${end < content.length ? '...' : ''}`;
+};
+
+module.exports = {
+  getSnippet
+};
@@ -14,6 +14,9 @@ class SocketClient {
     this.reconnectDelay = 1000;
     this.eventHandlers = new Map();
     this.typingTimeouts = new Map();
+    // Conversations to rejoin after a reconnect, and the last stream event seen in each
+    this.joinedConversations = new Set();
+    this.streamPositions = new Map();
     
     this.init();
   }
@@ -44,6 +47,9 @@ class SocketClient {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       this.emit('connected');
+
+      // Rejoin after a reconnect; the server replays stream events we missed
+      this.joinedConversations.forEach(conversationId => this.joinConversation(conversationId));
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -70,25 +76,46 @@ class SocketClient {
     });
 
     this.socket.on('ai-typing-start', (data) => {
+      if (!this.trackStreamEvent(data)) return;
       console.log('🤖 AI is typing...');
       this.emit('ai-typing-start', data);
     });
 
     this.socket.on('ai-stream-chunk', (data) => {
+      if (!this.trackStreamEvent(data)) return;
       this.emit('ai-stream-chunk', data);
     });
 
+    this.socket.on('ai-stream-usage', (data) => {
+      if (!this.trackStreamEvent(data)) return;
+      this.emit('ai-stream-usage', data);
+    });
+
+    this.socket.on('ai-tool-call', (data) => {
+      if (!this.trackStreamEvent(data)) return;
+      this.emit('ai-tool-call', data);
+    });
+
     this.socket.on('ai-stream-complete', (data) => {
+      if (!this.trackStreamEvent(data)) return;
       console.log('✅ AI response complete');
       this.emit('ai-stream-complete', data);
     });
 
+    this.socket.on('ai-stream-cancelled', (data) => {
+      if (!this.trackStreamEvent(data)) return;
+      console.log('⏹️ AI response stopped');
+      this.emit('ai-stream-cancelled', data);
+    });
+
     this.socket.on('ai-typing-stop', (data) => {
+      if (!this.trackStreamEvent(data)) return;
       console.log('🤖 AI stopped typing');
       this.emit('ai-typing-stop', data);
     });
 
     this.socket.on('ai-stream-error', (data) => {
+      if (!this.trackStreamEvent(data)) return;
       console.error('❌ AI streaming error:', data);
       this.emit('ai-stream-error', data);
     });
@@ -104,6 +131,11 @@ class SocketClient {
       this.emit('typing-stopped', data);
     });
 
+    // Conversation changes, such as a generated title
+    this.socket.on('conversation-updated', (data) => {
+      this.emit('conversation-updated', data);
+    });
+
     // Notifications
     this.socket.on('notification', (data) => {
       console.log('🔔 Notification received:', data);
@@ -122,6 +154,29 @@ class SocketClient {
     });
   }
 
+  // Record the position of a stream event; false if it should be skipped
+  trackStreamEvent(data) {
+    if (!data || !data.generationId) return true;
+
+    const position = this.streamPositions.get(data.conversationId);
+    if (position && position.generationId === data.generationId) {
+      // Already seen, e.g. replayed after it arrived live
+      if (data.seq <= position.lastSeq) return false;
+
+      // After a reconnect live events can arrive before the missed ones are
+      // replayed; the replay resends them in order
+      if (data.seq > position.lastSeq + 1 && this.joinedConversations.has(data.conversationId)) {
+        return false;
+      }
+    }
+
+    this.streamPositions.set(data.conversationId, {
+      generationId: data.generationId,
+      lastSeq: data.seq
+    });
+    return true;
+  }
+
   // Event handling
   on(event, handler) {
     if (!this.eventHandlers.has(event)) {
@@ -167,12 +222,22 @@ class SocketClient {
 
   // Conversation management
   joinConversation(conversationId) {
+    this.joinedConversations.add(conversationId);
+
     if (this.socket && this.isConnected) {
-      this.socket.emit('join-conversation', { conversationId });
+      const position = this.streamPositions.get(conversationId) || {};
+      this.socket.emit('join-conversation', {
+        conversationId,
+        generationId: position.generationId,
+        lastSeq: position.lastSeq
+      });
     }
   }
 
   leaveConversation(conversationId) {
+    this.joinedConversations.delete(conversationId);
+    this.streamPositions.delete(conversationId);
+
     if (this.socket && this.isConnected) {
       this.socket.emit('leave-conversation', { conversationId });
     }
@@ -189,6 +254,13 @@ class SocketClient {
     }
   }
 
+  // Stop the reply being generated; the partial reply is kept
+  stopGeneration(conversationId) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('stop-generation', { conversationId });
+    }
+  }
+
   // Typing indicators
   startTyping(conversationId) {
     if (this.socket && this.isConnected) {
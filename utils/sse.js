@@ -0,0 +1,32 @@
+// Server-Sent Events helpers for streaming responses over plain HTTP
+
+// Whether the client asked for an event stream instead of JSON
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+// Send the event stream headers
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+// Write one event; flush so compression does not hold it back
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  sendEvent
+};
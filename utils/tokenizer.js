@@ -0,0 +1,65 @@
+const o200k = require('gpt-tokenizer/encoding/o200k_base');
+const cl100k = require('gpt-tokenizer/encoding/cl100k_base');
+const { getModel } = require('../config/models');
+
+// Token counting helpers
+// Counts use the model's BPE encoding from the catalog. Models without a
+// published encoding (Anthropic, most local models) are counted with
+// cl100k_base, which is close enough to budget a context window.
+
+const encodings = {
+  o200k_base: o200k,
+  cl100k_base: cl100k
+};
+
+// Tokens added per message for role and formatting
+const MESSAGE_OVERHEAD = 4;
+
+// Tokens used to prime the assistant reply
+const REPLY_PRIMING = 3;
+
+// Rough cost of an image part; providers charge by resolution
+const IMAGE_TOKENS = 765;
+
+// Get the encoding used to count tokens for a model
+const getEncoding = (modelId) => {
+  const model = modelId ? getModel(modelId) : null;
+  return encodings[model?.tokenizer] || cl100k;
+};
+
+// Count tokens in a string
+const countTokens = (text, modelId) => {
+  if (!text) return 0;
+  return getEncoding(modelId).encode(text).length;
+};
+
+// Count tokens in a chat message, including formatting overhead, tool calls and images
+const countMessageTokens = (message, modelId) => (message.toolCalls || []).reduce(
+  (sum, call) => sum + countTokens(call.name, modelId) + countTokens(call.arguments, modelId),
+  MESSAGE_OVERHEAD + countTokens(message.content, modelId) + (message.images?.length || 0) * IMAGE_TOKENS
+);
+
+// Count tokens for a full prompt
+const countPromptTokens = (messages, modelId) => messages.reduce(
+  (sum, message) => sum + countMessageTokens(message, modelId),
+  REPLY_PRIMING
+);
+
+// Cut text down to at most `maxTokens` tokens
+const truncateToTokens = (text, maxTokens, modelId) => {
+  if (!text) return '';
+
+  const encoding = getEncoding(modelId);
+  const tokens = encoding.encode(text);
+  if (tokens.length <= maxTokens) return text;
+
+  return encoding.decode(tokens.slice(0, maxTokens));
+};
+
+module.exports = {
+  REPLY_PRIMING,
+  countTokens,
+  countMessageTokens,
+  countPromptTokens,
+  truncateToTokens
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+
+// Uploaded file helpers
+// Files are stored flat in uploads/ and their names start with the ID of the
+// user who uploaded them, which is how ownership is checked.
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+// Content types of the accepted uploads, by extension
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Stored filename for a new upload
+const createFilename = (userId, file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(file.originalname);
+  return `${userId}-${file.fieldname}-${uniqueSuffix}${ext}`;
+};
+
+// Check that a file belongs to a user
+const isOwnedBy = (filename, userId) => path.basename(filename).startsWith(`${userId}-`);
+
+// ID of the user who uploaded a file
+const getOwnerId = (filename) => path.basename(filename).split('-')[0];
+
+// Absolute path of an uploaded file, without leaving the upload directory
+const getUploadPath = (filename) => path.join(UPLOAD_DIR, path.basename(filename));
+
+// Content type of an uploaded file, from its extension
+const getMimeType = (filename) => MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+const isImage = (mimetype) => mimetype.startsWith('image/');
+
+module.exports = {
+  UPLOAD_DIR,
+  createFilename,
+  isOwnedBy,
+  getOwnerId,
+  getUploadPath,
+  getMimeType,
+  isImage
+};
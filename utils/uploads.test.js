@@ -0,0 +1,72 @@
+const path = require('path');
+const { Types } = require('mongoose');
+const {
+  UPLOAD_DIR,
+  createFilename,
+  isOwnedBy,
+  getOwnerId,
+  getUploadPath,
+  getMimeType
+} = require('./uploads');
+
+const userId = new Types.ObjectId();
+const otherUserId = new Types.ObjectId();
+
+describe('uploads', () => {
+  describe('createFilename', () => {
+    it('starts with the owner ID and keeps the extension', () => {
+      const filename = createFilename(userId, { fieldname: 'file', originalname: 'Report 2024.pdf' });
+
+      expect(filename).toMatch(new RegExp(`^${userId}-file-\\d+-\\d+\\.pdf$`));
+    });
+  });
+
+  describe('isOwnedBy', () => {
+    const filename = createFilename(userId, { fieldname: 'file', originalname: 'notes.txt' });
+
+    it('accepts the owner, as an ObjectId or a string', () => {
+      expect(isOwnedBy(filename, userId)).toBe(true);
+      expect(isOwnedBy(filename, userId.toString())).toBe(true);
+    });
+
+    it('rejects other users', () => {
+      expect(isOwnedBy(filename, otherUserId)).toBe(false);
+    });
+
+    it('rejects files stored without an owner prefix', () => {
+      expect(isOwnedBy('file-1700000000000-123456789.txt', userId)).toBe(false);
+    });
+
+    it('rejects an ID that is only the start of the owner ID', () => {
+      expect(isOwnedBy(filename, userId.toString().slice(0, 12))).toBe(false);
+    });
+
+    it('checks the file name, not a path around it', () => {
+      expect(isOwnedBy(`${userId}-file/../../${otherUserId}-file-1-2.txt`, userId)).toBe(false);
+      expect(isOwnedBy(`${otherUserId}-x/../${filename}`, otherUserId)).toBe(false);
+    });
+  });
+
+  describe('getOwnerId', () => {
+    it('reads the owner ID from the file name', () => {
+      const filename = createFilename(userId, { fieldname: 'files', originalname: 'photo.png' });
+
+      expect(getOwnerId(filename)).toBe(userId.toString());
+    });
+  });
+
+  describe('getUploadPath', () => {
+    it('stays inside the upload directory', () => {
+      expect(getUploadPath('../../etc/passwd')).toBe(path.join(UPLOAD_DIR, 'passwd'));
+      expect(getUploadPath('a.png')).toBe(path.join(UPLOAD_DIR, 'a.png'));
+    });
+  });
+
+  describe('getMimeType', () => {
+    it('maps known extensions, ignoring case', () => {
+      expect(getMimeType('scan.PDF')).toBe('application/pdf');
+      expect(getMimeType('photo.jpeg')).toBe('image/jpeg');
+      expect(getMimeType('archive.zip')).toBe('application/octet-stream');
+    });
+  });
+});